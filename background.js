@@ -1,33 +1,304 @@
 // Background script for Copy, Paste, Forget! (MV3)
 
+// Firefox loads these ahead of this file from the manifest's background scripts
+if (typeof importScripts === 'function') importScripts('compat.js', 'settings.js', 'i18n.js', 'clipboard-utils.js');
+
+const { t } = i18n;
+
+// Schema, defaults and validation shared with the popup
+const {
+  CLEAR_TRIGGERS,
+  SITE_RULE_MODES,
+  EVENT_TRIGGER_KEYS,
+  isValidPasswordInterval,
+  isValidIncognitoInterval,
+  normalizeHost,
+  sanitizeSiteRule,
+  isValidPattern,
+  sanitizePatterns,
+} = settingsStore;
+
 let clearTimer = null;
-let settings = { interval: 10, enabled: true, clearOnlyOnPasswordPaste: false };
+let countdownTimer = null;
+let warningTimer = null;
+let resumePromise = null;
+// { deadline, startedAt, contentHash, origin, trigger, isPassword, incognito } while a clear is scheduled
+let pendingClear = null;
+// Open popup ports that get a fresh state whenever the pending clear changes
+const statePorts = new Set();
+// { tabId, frameId } of the frame currently showing the on-page toast
+let toastFrame = null;
+let historyWriteChain = Promise.resolve();
+let hashSaltPromise = null;
+let settings = getDefaultSettings();
 let settingsInitialized = false;
+// Policy values from the last load, keyed by storage name
+let managedSettings = {};
 let settingsInitPromise = null;
 
+// Policy keys admins may force via chrome.storage.managed, mapped to settings fields
+const MANAGED_KEYS = settingsStore.LOCKS;
+
+// Pending clears are persisted so they survive service worker suspension
+const CLEAR_ALARM = 'clearClipboard';
+const PENDING_CLEAR_KEY = 'pendingClear';
+// { contentHash } of a private-window paste whose clear was cancelled or kept
+const KEPT_INCOGNITO_KEY = 'keptIncognitoPaste';
+
+// Session-scoped salt for clipboard content hashes, and the last automatic clear outcome
+const HASH_SALT_KEY = 'hashSalt';
+const LAST_CLEAR_KEY = 'lastClear';
+
+// Clearing strategies, in the order they are tried. Strategies with an
+// `available` check are skipped on browsers that lack what they need.
+const CLEAR_STRATEGIES = [
+  { name: 'active-tab', run: clearViaActiveTab },
+  { name: 'other-tab', run: clearViaOtherTab },
+  { name: 'content-script', run: clearViaContentScript },
+  { name: 'background-page', run: clearViaBackgroundPage, available: () => compat.hasDom },
+  { name: 'offscreen', run: clearViaOffscreen, available: () => compat.hasOffscreen },
+  { name: 'ephemeral-window', run: clearViaEphemeralWindow },
+];
+
+// Pages where extensions cannot inject scripts
+const UNSCRIPTABLE_PREFIXES = ['chrome://', 'chrome-extension://', 'edge://', 'about:', 'moz-extension://'];
+
+// Background tabs rarely have clipboard access; don't walk every open tab
+const MAX_TAB_ATTEMPTS = 3;
+
+// Clear history ring buffer in chrome.storage.local (no clipboard content)
+const HISTORY_KEY = 'clearHistory';
+const HISTORY_LIMIT = 200;
+
+// How much "extend countdown" adds to a pending clear
+const EXTEND_SECONDS = 30;
+
+// Desktop notifications: warning shown this long before a scheduled clear
+const WARNING_SECONDS = 5;
+const WARNING_NOTIFICATION_ID = 'clear-warning';
+const CLEARED_NOTIFICATION_ID = 'clear-done';
+
+// Port name the popup connects on to follow the pending clear live
+const STATE_PORT = 'state';
+
+// Contexts for the page-level context menu entries
+const MENU_CONTEXTS = ['page', 'selection', 'link', 'image', 'editable', 'action'];
+
+// Seconds without input before chrome.idle reports the machine as idle
+const IDLE_DETECTION_SECONDS = 60;
+
+// Snooze: automatic clearing pauses until a deadline kept in local storage,
+// so it survives worker restarts and browser relaunches
+const SNOOZE_KEY = 'snoozedUntil';
+const SNOOZE_ALARM = 'snoozeEnd';
+const SNOOZE_MINUTES = [5, 15, 60];
+
+// Settings profile files exchanged through the popup's Export/Import
+const PROFILE_FORMAT = 'copy-paste-forget-settings';
+const PROFILE_VERSION = 1;
+
+// Storage keys a profile may carry, with the check each value must pass
+const PROFILE_FIELDS = Object.fromEntries(settingsStore.SCHEMA.map((entry) => [entry.key, entry.valid]));
+
+// Upgrades profile settings from version N to N + 1. Version 1 is the first
+// format, so there is nothing to upgrade yet.
+const PROFILE_MIGRATIONS = {};
+
 // Load settings on startup/installation
 chrome.runtime.onStartup.addListener(loadSettings);
 chrome.runtime.onInstalled.addListener(loadSettings);
 
+// Settings change from the popup, other synced devices and policy at any
+// time. Synced changes arrive in order and are applied as they come; policy
+// changes can lock or unlock anything, so those reload everything.
+settingsStore.onChange((fields, area) => {
+  const wasEnabled = settings.enabled;
+  const applied = area === 'managed'
+    ? reloadSettings()
+    : ensureSettingsLoaded().then(() => applySyncedChanges(fields));
+  applied.then(() => {
+    if (settings.enabled !== wasEnabled) applyEnabledState();
+  });
+});
+
+// Warning notification buttons: 0 = Keep, 1 = Clear now
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (notificationId !== WARNING_NOTIFICATION_ID) return;
+  await ensureSettingsLoaded();
+  await resumePendingClear();
+  if (buttonIndex === 0) {
+    await cancelClearNow();
+  } else {
+    await clearClipboardNow('notification');
+  }
+});
+
+// Context menus persist across restarts, so they are only (re)built on install/update
+chrome.runtime.onInstalled.addListener(createContextMenus);
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  await ensureSettingsLoaded();
+  switch (info.menuItemId) {
+    case 'clear-now':
+      await clearClipboardNow('context-menu');
+      break;
+    case 'clear-in-interval':
+      if (settings.enabled) handlePasteEvent({ trigger: 'context-menu', incognito: Boolean(tab && tab.incognito) });
+      break;
+    case 'disable-on-site': {
+      const host = normalizeHost(tab && tab.url);
+      if (host) {
+        try {
+          await saveSiteRule({ host, mode: 'never' });
+        } 
+        catch (error) {
+          console.error('[Copy, Paste, Forget!] Error disabling site:', error);
+        }
+      }
+      break;
+    }
+    case 'paste-and-clear':
+      await pasteAndClear(tab, info.frameId);
+      break;
+    case 'snooze-5':
+    case 'snooze-15':
+    case 'snooze-60':
+      try {
+        await startSnooze(Number(info.menuItemId.slice('snooze-'.length)));
+      } 
+      catch (error) {
+        console.error('[Copy, Paste, Forget!] Error snoozing:', error);
+      }
+      break;
+    case 'resume-now':
+      await endSnooze();
+      break;
+  }
+});
+
+// Wake-up paths: alarm fired, or worker restarted with a clear still pending
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CLEAR_ALARM) resumePendingClear();
+  if (alarm.name === SNOOZE_ALARM) ensureSettingsLoaded().then(endSnooze);
+});
+resumePendingClear();
+
+// Event triggers: clear early when the paste's tab closes or leaves its origin,
+// the browser loses focus, or the machine goes idle or locks
+chrome.tabs.onRemoved.addListener((tabId) => {
+  clearOnEvent('clearOnTabClose', 'tab-closed', (pending) => pending.tabId === tabId);
+});
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.url) return;
+  clearOnEvent('clearOnNavigate', 'navigation', (pending) =>
+    pending.tabId === tabId && Boolean(pending.tabOrigin) && getOrigin(changeInfo.url) !== pending.tabOrigin);
+});
+chrome.windows.onRemoved.addListener(async () => {
+  const windows = await chrome.windows.getAll().catch(() => []);
+  if (!windows.some((win) => win.incognito)) clearOnIncognitoClose();
+});
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) clearOnEvent('clearOnBlur', 'window-blur');
+});
+if (chrome.idle) {
+  chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+  chrome.idle.onStateChanged.addListener((state) => {
+    if (state === 'idle' || state === 'locked') clearOnEvent('clearOnIdle', 'idle');
+  });
+}
+
+// Keyboard shortcuts share the message router's code paths
+chrome.commands.onCommand.addListener(async (command) => {
+  await ensureSettingsLoaded();
+  await resumePendingClear();
+  switch (command) {
+    case 'clear-now':
+      await clearClipboardNow('shortcut');
+      break;
+    case 'toggle-enabled':
+      if (!isLocked('enabled')) setExtensionEnabled(!settings.enabled);
+      break;
+    case 'extend-countdown':
+      extendPendingClear();
+      break;
+    case 'cancel-clear':
+      await cancelClearNow();
+      break;
+  }
+});
+
+function getDefaultSettings() {
+  return {
+    ...settingsStore.getDefaults(),
+    snoozedUntil: 0,
+    locked: [],
+  };
+}
+
 async function loadSettings() {
   try {
-    const result = await chrome.storage.sync.get([
-      'clipboardInterval',
-      'extensionEnabled',
-      'clearOnlyOnPasswordPaste',
-    ]);
-    settings.interval = result.clipboardInterval || 10;
-    settings.enabled = result.extensionEnabled !== false;
-    settings.clearOnlyOnPasswordPaste = Boolean(result.clearOnlyOnPasswordPaste);
+    const syncResult = await chrome.storage.sync.get(settingsStore.KEYS);
+    // Admin-managed values win over the user's synced ones
+    const managed = await getManagedSettings();
+    managedSettings = managed;
+    Object.assign(settings, settingsStore.readStored({ ...syncResult, ...managed }));
+    enforcePolicyIntervals();
+    settings.locked = [...new Set(Object.keys(managed).map((key) => MANAGED_KEYS[key]))];
+    const localResult = await chrome.storage.local.get(SNOOZE_KEY);
+    settings.snoozedUntil = Number(localResult[SNOOZE_KEY]) || 0;
     settingsInitialized = true;
+    updateContextMenus();
+    restoreSnooze();
   } 
   catch (error) {
     console.log('[Copy, Paste, Forget!] Error loading settings:', error);
-    settings = { interval: 10, enabled: true, clearOnlyOnPasswordPaste: false };
+    settings = getDefaultSettings();
     settingsInitialized = true;
   }
 }
 
+// Synced values the admin has not pinned, keyed by field
+function applySyncedChanges(fields) {
+  settingsStore.SCHEMA.forEach((entry) => {
+    if (entry.field in fields && !(entry.key in managedSettings)) {
+      settings[entry.field] = fields[entry.field];
+    }
+  });
+  enforcePolicyIntervals();
+}
+
+// A user's password interval must not outlast an interval set by policy
+function enforcePolicyIntervals() {
+  if (managedSettings.clipboardInterval !== undefined && managedSettings.passwordClipboardInterval === undefined) {
+    settings.passwordInterval = null;
+  }
+}
+
+async function getManagedSettings() {
+  try {
+    if (!chrome.storage.managed) return {};
+    const result = await chrome.storage.managed.get(Object.keys(MANAGED_KEYS));
+    const managed = {};
+    Object.keys(MANAGED_KEYS).forEach((key) => {
+      if (result[key] !== undefined) managed[key] = result[key];
+    });
+    return managed;
+  } 
+  catch (_) {
+    // No policy configured (or not supported on this platform)
+    return {};
+  }
+}
+
+function isLocked(field) {
+  return settings.locked.includes(field);
+}
+
+function assertUnlocked(field) {
+  if (isLocked(field)) {
+    throw new Error(t('errorManaged'));
+  }
+}
+
 function ensureSettingsLoaded() {
   if (settingsInitialized) return Promise.resolve();
   if (settingsInitPromise) return settingsInitPromise;
@@ -37,18 +308,90 @@ function ensureSettingsLoaded() {
   return settingsInitPromise;
 }
 
+// A load already in flight may have read storage before the latest change,
+// so queue a fresh one behind it
+function reloadSettings() {
+  settingsInitialized = false;
+  const reload = (settingsInitPromise || Promise.resolve())
+    .then(loadSettings)
+    .finally(() => {
+      if (settingsInitPromise === reload) settingsInitPromise = null;
+    });
+  settingsInitPromise = reload;
+  return reload;
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STATE_PORT) return;
+  statePorts.add(port);
+  port.onDisconnect.addListener(() => statePorts.delete(port));
+  ensureSettingsLoaded()
+    .then(resumePendingClear)
+    .then(() => postState(port));
+});
+
 // Message router
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
-    case 'PASTE_DETECTED': {
-      if (settings.enabled) {
-        const isPassword = Boolean(message.isPassword);
-        if (!settings.clearOnlyOnPasswordPaste || isPassword) {
-          handlePasteEvent();
+    case 'PASTE_DETECTED':
+    case 'COPY_DETECTED': {
+      // The worker may have just been woken by this very message; act on the
+      // stored settings, not the defaults
+      ensureSettingsLoaded().then(() => {
+        const trigger = message.type === 'PASTE_DETECTED' ? 'paste' : 'copy';
+        if (settings.enabled && !isSnoozed() &&
+            (settings.clearTrigger === 'both' || settings.clearTrigger === trigger)) {
+          const origin = sender.origin || message.origin;
+          const tabOrigin = sender.tab ? getOrigin(sender.tab.url) : null;
+          // Pastes inside iframes follow the frame's own rule first, then the page's
+          const rule = findSiteRule(origin) || findSiteRule(tabOrigin);
+          const mode = rule ? rule.mode : 'default';
+          // Sensitive-content verdicts count the same as password fields
+          const isSensitive = Boolean(message.isPassword) ||
+            (settings.detectSensitiveContent && Boolean(message.isSensitive));
+          const passwordOnly = mode === 'password' || (mode === 'default' && settings.clearOnlyOnPasswordPaste);
+          if (mode !== 'never' && (!passwordOnly || isSensitive)) {
+            handlePasteEvent({
+              contentHash: message.contentHash,
+              origin,
+              trigger,
+              isPassword: isSensitive,
+              tabId: sender.tab ? sender.tab.id : null,
+              frameId: sender.tab ? sender.frameId : null,
+              tabOrigin,
+              incognito: Boolean(sender.tab && sender.tab.incognito),
+              contentTypes: message.contentTypes,
+              siteInterval: rule ? rule.interval : null,
+            });
+          }
         }
-      }
-      sendResponse({ success: true });
-      return; // sync response
+        sendResponse({ success: true });
+      });
+      return true; // async
+    }
+    case 'GET_HASH_SALT': {
+      getHashSalt()
+        .then((salt) => sendResponse({ success: true, salt }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'GET_LAST_CLEAR': {
+      chrome.storage.session.get(LAST_CLEAR_KEY)
+        .then((result) => sendResponse({ success: true, lastClear: result[LAST_CLEAR_KEY] || null }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'GET_HISTORY': {
+      getHistory()
+        .then((entries) => sendResponse({ success: true, entries }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'PURGE_HISTORY': {
+      purgeHistory()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
     }
     case 'GET_SETTINGS': {
       // Ensure settings are loaded before responding
@@ -60,28 +403,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true; // async
     }
     case 'TOGGLE_EXTENSION': {
-      try {
-        settings.enabled = Boolean(message.enabled);
-        if (!settings.enabled && clearTimer) {
-          clearTimeout(clearTimer);
-          clearTimer = null;
-          chrome.action.setBadgeText({ text: '' });
-        }
-        if (!settings.enabled) {
-          chrome.action.setBadgeText({ text: 'OFF' });
-          chrome.action.setBadgeBackgroundColor({ color: '#888' });
-          setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
-        } else {
-          chrome.action.setBadgeText({ text: '' });
-        }
-        chrome.storage.sync.set({ extensionEnabled: settings.enabled }).catch(() => {});
-        sendResponse({ success: true });
-      } 
-      catch (error) {
-        console.error('[Copy, Paste, Forget!] Toggle error:', error);
-        sendResponse({ success: false, error: error.message });
-      }
-      return; // sync response
+      // Policy locks are only known once settings have loaded
+      ensureSettingsLoaded()
+        .then(() => {
+          setExtensionEnabled(Boolean(message.enabled));
+          sendResponse({ success: true });
+        })
+        .catch((error) => {
+          console.error('[Copy, Paste, Forget!] Toggle error:', error);
+          sendResponse({ success: false, error: error.message });
+        });
+      return true; // async
     }
     case 'UPDATE_SETTINGS': {
       updateSettings(Number(message.interval))
@@ -89,12 +421,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         .catch((error) => sendResponse({ success: false, error: error.message }));
       return true; // async
     }
+    case 'UPDATE_PASSWORD_INTERVAL': {
+      updatePasswordInterval(message.value === null ? null : Number(message.value))
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'UPDATE_INCOGNITO': {
+      updateIncognitoSettings(message)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
     case 'UPDATE_PASSWORD_ONLY': {
       (async () => {
         try {
-          const value = Boolean(message.value);
-          settings.clearOnlyOnPasswordPaste = value;
-          await chrome.storage.sync.set({ clearOnlyOnPasswordPaste: value });
+          await setPasswordOnly(Boolean(message.value));
           sendResponse({ success: true });
         } catch (error) {
           console.error('[Copy, Paste, Forget!] Error updating password-only setting:', error);
@@ -103,16 +445,161 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       })();
       return true; // async
     }
-    case 'CLEAR_CLIPBOARD_NOW': {
-      if (!settings.enabled) {
-        sendResponse({ success: false, message: 'Extension is disabled' });
-        return; // sync response
-      }
-      clearClipboard()
+    case 'SNOOZE': {
+      startSnooze(Number(message.minutes))
+        .then((snoozedUntil) => sendResponse({ success: true, snoozedUntil }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'RESUME': {
+      endSnooze()
         .then(() => sendResponse({ success: true }))
         .catch((error) => sendResponse({ success: false, error: error.message }));
       return true; // async
     }
+    case 'EXPORT_SETTINGS': {
+      ensureSettingsLoaded()
+        .then(() => sendResponse({ success: true, profile: buildSettingsProfile() }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'IMPORT_SETTINGS': {
+      (async () => {
+        try {
+          await ensureSettingsLoaded();
+          const result = await importSettingsProfile(message.profile);
+          sendResponse({ success: true, ...result });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error importing settings:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'UPDATE_SENSITIVE_DETECTION': {
+      (async () => {
+        try {
+          await updateSensitiveDetection(Boolean(message.value));
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error updating sensitive detection:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'UPDATE_SENSITIVE_PATTERNS': {
+      (async () => {
+        try {
+          const sensitivePatterns = await updateSensitivePatterns(message.patterns);
+          sendResponse({ success: true, sensitivePatterns });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error updating sensitive patterns:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'UPDATE_NOTIFICATIONS': {
+      (async () => {
+        try {
+          await updateNotifications(message);
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error updating notification settings:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'UPDATE_EVENT_TRIGGERS': {
+      (async () => {
+        try {
+          await updateEventTriggers(message);
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error updating event triggers:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'UPDATE_CLEAR_TRIGGER': {
+      (async () => {
+        try {
+          await updateClearTrigger(message.value);
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error updating clear trigger:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'UPDATE_SITE_RULE': {
+      (async () => {
+        try {
+          const siteRules = await saveSiteRule(message.rule);
+          sendResponse({ success: true, siteRules });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error updating site rule:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'REMOVE_SITE_RULE': {
+      (async () => {
+        try {
+          await ensureSettingsLoaded();
+          assertUnlocked('siteRules');
+          const host = normalizeHost(message.host);
+          const siteRules = settings.siteRules.filter((r) => r.host !== host);
+          await chrome.storage.sync.set({ siteRules });
+          settings.siteRules = siteRules;
+          sendResponse({ success: true, siteRules });
+        } catch (error) {
+          console.error('[Copy, Paste, Forget!] Error removing site rule:', error);
+          sendResponse({ success: false, error: error.message });
+        }
+      })();
+      return true; // async
+    }
+    case 'CLEAR_CLIPBOARD_NOW': {
+      clearClipboardNow()
+        .then(sendResponse)
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'EXTEND_COUNTDOWN': {
+      // A restarted worker has to pick the persisted countdown back up first
+      ensureSettingsLoaded()
+        .then(resumePendingClear)
+        .then(() => sendResponse(extendPendingClear(Number(message.seconds) || EXTEND_SECONDS)))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'GET_STATE': {
+      ensureSettingsLoaded()
+        .then(resumePendingClear)
+        .then(() => sendResponse({ success: true, state: getState() }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'GET_DIAGNOSTICS': {
+      getDiagnostics()
+        .then((diagnostics) => sendResponse({ success: true, diagnostics }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
+    case 'CANCEL_PENDING_CLEAR': {
+      ensureSettingsLoaded()
+        .then(resumePendingClear)
+        .then(cancelClearNow)
+        .then(sendResponse)
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true; // async
+    }
     default: {
       sendResponse({ success: false, error: 'Unknown message type' });
       return; // sync response
@@ -120,246 +607,839 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-function handlePasteEvent() {
-  if (clearTimer) clearTimeout(clearTimer);
+function setExtensionEnabled(enabled) {
+  assertUnlocked('enabled');
+  settings.enabled = enabled;
+  applyEnabledState();
+  chrome.storage.sync.set({ extensionEnabled: settings.enabled }).catch(() => {});
+}
 
-  let timeLeft = settings.interval;
-  chrome.action.setBadgeText({ text: timeLeft.toString() });
-  chrome.action.setBadgeBackgroundColor({ color: '#ff9800' });
+// Brings the badge and any pending clear in line with settings.enabled
+function applyEnabledState() {
+  if (!settings.enabled) {
+    cancelPendingClear();
+    chrome.action.setBadgeText({ text: t('badgeOff') });
+    chrome.action.setBadgeBackgroundColor({ color: '#888' });
+    setTimeout(showIdleBadge, 2000);
+  } else {
+    showIdleBadge();
+    broadcastState();
+  }
+}
 
-  const countdownInterval = setInterval(() => {
-    timeLeft--;
-    if (timeLeft > 0) {
-      chrome.action.setBadgeText({ text: timeLeft.toString() });
-    } else {
-      clearInterval(countdownInterval);
-    }
-  }, 1000);
+function isSnoozed() {
+  return settings.snoozedUntil > Date.now();
+}
 
-  clearTimer = setTimeout(() => {
-    clearInterval(countdownInterval);
-    clearClipboard();
-  }, settings.interval * 1000);
+// Pause automatic clearing. Snoozing turns protection off, so it is blocked
+// wherever policy pins the extension on.
+async function startSnooze(minutes) {
+  if (!SNOOZE_MINUTES.includes(minutes)) throw new Error(t('errorInvalidSnooze'));
+  await ensureSettingsLoaded();
+  assertUnlocked('enabled');
+  const snoozedUntil = Date.now() + minutes * 60 * 1000;
+  await chrome.storage.local.set({ [SNOOZE_KEY]: snoozedUntil });
+  settings.snoozedUntil = snoozedUntil;
+  await cancelPendingClear();
+  chrome.alarms.create(SNOOZE_ALARM, { when: snoozedUntil }).catch(() => {});
+  showIdleBadge();
+  updateContextMenus();
+  return snoozedUntil;
 }
 
-async function clearClipboard() {
+async function endSnooze() {
+  settings.snoozedUntil = 0;
   try {
-    if (clearTimer) {
-      clearTimeout(clearTimer);
-      clearTimer = null;
-    }
-
-    // Try active tab first
-    try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs && tabs.length && tabs[0].url && !tabs[0].url.startsWith('chrome://')) {
-        await chrome.scripting.executeScript({ target: { tabId: tabs[0].id }, func: clearClipboardInTab });
-        showClearedBadge();
-        return;
-      }
-    } 
-    catch (e) {}
-
-    // Fallback: any suitable tab
-    try {
-      const allTabs = await chrome.tabs.query({});
-      const suitableTabs = allTabs.filter((tab) =>
-        tab.url &&
-        !tab.url.startsWith('chrome://') &&
-        !tab.url.startsWith('chrome-extension://') &&
-        !tab.url.startsWith('edge://') &&
-        !tab.url.startsWith('about:') &&
-        !tab.url.startsWith('moz-extension://')
-      );
-      if (suitableTabs.length > 0) {
-        await chrome.scripting.executeScript({ target: { tabId: suitableTabs[0].id }, func: clearClipboardInTab });
-        showClearedBadge();
-        return;
-      }
-    } 
-    catch (e) {}
-
-    // Last resort: ask any content script
-    try {
-      const allTabs = await chrome.tabs.query({});
-      for (const tab of allTabs) {
-        if (tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
-          try {
-            const response = await chrome.tabs.sendMessage(tab.id, { type: 'CLEAR_CLIPBOARD_REQUEST' });
-            if (response && response.success) {
-              showClearedBadge();
-              return;
-            }
-          } 
-          catch (e) {}
-        }
-      }
-    } 
-    catch (e) {}
-
-    // Try offscreen document fallback
-    if (await clearClipboardOffscreen()) {
-      showClearedBadge();
-      return;
-    }
-
-    console.error('[Copy, Paste, Forget!] No suitable context available to clear clipboard');
+    await chrome.storage.local.remove(SNOOZE_KEY);
+    await chrome.alarms.clear(SNOOZE_ALARM);
   } 
-  catch (error) {
-    console.error('[Copy, Paste, Forget!] Error in clearClipboard:', error);
+  catch (_) {}
+  // A countdown may be showing if "clear in N seconds" was used while snoozed
+  if (!pendingClear) showIdleBadge();
+  updateContextMenus();
+  broadcastState();
+}
+
+// After a restart: finish a snooze that expired meanwhile, or make sure the
+// alarm and badge are back for one still running
+function restoreSnooze() {
+  if (!settings.snoozedUntil) return;
+  if (!isSnoozed()) {
+    endSnooze();
+    return;
   }
+  chrome.alarms.create(SNOOZE_ALARM, { when: settings.snoozedUntil }).catch(() => {});
+  if (!pendingClear) showIdleBadge();
 }
 
-function clearClipboardInTab() {
-  try {
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-      navigator.clipboard.writeText('').catch((err) => {
-        console.log('[Copy, Paste, Forget!] Modern API failed, trying fallback:', err);
-        clearWithExecCommand();
-      });
-    } else {
-      clearWithExecCommand();
-    }
+async function setPasswordOnly(value) {
+  await ensureSettingsLoaded();
+  assertUnlocked('clearOnlyOnPasswordPaste');
+  settings.clearOnlyOnPasswordPaste = value;
+  await chrome.storage.sync.set({ clearOnlyOnPasswordPaste: value });
+}
 
-    function clearWithExecCommand() {
-      try {
-        const textarea = document.createElement('textarea');
-        // Use a single space to ensure a non-empty selection is copied
-        textarea.value = ' ';
-        textarea.style.position = 'fixed';
-        textarea.style.opacity = '0';
-        textarea.style.left = '-9999px';
-        document.body.appendChild(textarea);
-        textarea.select();
-        textarea.setSelectionRange(0, textarea.value.length);
-        const success = document.execCommand('copy');
-        document.body.removeChild(textarea);
-        if (!success) {
-          console.log('[Copy, Paste, Forget!] execCommand failed');
-        } else {
-          // If possible, overwrite with a truly empty string using modern API
-          try { navigator.clipboard && navigator.clipboard.writeText && navigator.clipboard.writeText(''); } catch (_) {}
-        }
-      } 
-      catch (execError) {
-        console.log('[Copy, Paste, Forget!] execCommand method failed:', execError);
-      }
-    }
-  } 
-  catch (error) {
-    console.log('[Copy, Paste, Forget!] Error in clearClipboardInTab:', error);
+async function updateClearTrigger(value) {
+  await ensureSettingsLoaded();
+  if (!CLEAR_TRIGGERS.includes(value)) {
+    throw new Error(t('errorInvalidClearTrigger'));
   }
+  settings.clearTrigger = value;
+  await chrome.storage.sync.set({ clearTrigger: value });
 }
 
-function showClearedBadge() {
-  chrome.action.setBadgeText({ text: 'OK' });
-  chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
-  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+async function updateSensitiveDetection(value) {
+  await ensureSettingsLoaded();
+  settings.detectSensitiveContent = value;
+  await chrome.storage.sync.set({ detectSensitiveContent: value });
 }
 
-async function updateSettings(newInterval) {
-  settings.interval = newInterval;
-  try {
-    await chrome.storage.sync.set({ clipboardInterval: newInterval });
-    if (clearTimer) {
-      clearTimeout(clearTimer);
-      clearTimer = setTimeout(() => clearClipboard(), settings.interval * 1000);
+// Refuses the whole list if any pattern does not compile
+async function updateSensitivePatterns(input) {
+  await ensureSettingsLoaded();
+  const patterns = Array.isArray(input) ? input : [];
+  const invalid = patterns.find((source) => !isValidPattern(source));
+  if (invalid !== undefined) {
+    throw new Error(t('errorInvalidPattern', invalid));
+  }
+  const sensitivePatterns = sanitizePatterns(patterns);
+  await chrome.storage.sync.set({ sensitivePatterns });
+  settings.sensitivePatterns = sensitivePatterns;
+  return sensitivePatterns;
+}
+
+// Saves whichever of the given keys the message carries
+async function updateToggles(keys, message) {
+  await ensureSettingsLoaded();
+  const changes = {};
+  keys.forEach((key) => {
+    if (key in message) changes[key] = Boolean(message[key]);
+  });
+  Object.assign(settings, changes);
+  await chrome.storage.sync.set(changes);
+}
+
+function updateNotifications(message) {
+  return updateToggles(['notifyBeforeClear', 'notifyOnClear', 'showPageToast'], message);
+}
+
+function updateEventTriggers(message) {
+  return updateToggles(EVENT_TRIGGER_KEYS, message);
+}
+
+// Background side of the UPDATE_* messages built by settingsStore.SCHEMA
+function applySettingUpdate(message) {
+  switch (message.type) {
+    case 'UPDATE_SETTINGS':
+      return updateSettings(message.interval);
+    case 'UPDATE_PASSWORD_INTERVAL':
+      return updatePasswordInterval(message.value);
+    case 'TOGGLE_EXTENSION':
+      return setExtensionEnabled(message.enabled);
+    case 'UPDATE_PASSWORD_ONLY':
+      return setPasswordOnly(message.value);
+    case 'UPDATE_CLEAR_TRIGGER':
+      return updateClearTrigger(message.value);
+    case 'UPDATE_SENSITIVE_DETECTION':
+      return updateSensitiveDetection(message.value);
+    case 'UPDATE_SENSITIVE_PATTERNS':
+      return updateSensitivePatterns(message.patterns);
+    case 'UPDATE_NOTIFICATIONS':
+      return updateNotifications(message);
+    case 'UPDATE_INCOGNITO':
+      return updateIncognitoSettings(message);
+    case 'UPDATE_EVENT_TRIGGERS':
+      return updateEventTriggers(message);
+    default:
+      throw new Error(`Unknown setting update: ${message.type}`);
+  }
+}
+
+// Versioned snapshot of the settings loadSettings reads, keyed by storage name
+function buildSettingsProfile() {
+  return {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: Object.fromEntries(settingsStore.SCHEMA.map((entry) => [entry.key, settings[entry.field]])),
+  };
+}
+
+// Returns the profile's settings upgraded to PROFILE_VERSION
+function migrateSettingsProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(t('errorNotSettingsFile'));
+  }
+  if (profile.format !== PROFILE_FORMAT) throw new Error(t('errorForeignSettingsFile'));
+  let { version, settings: values } = profile;
+  if (!Number.isInteger(version) || version < 1) throw new Error(t('errorSettingsFileVersion'));
+  if (version > PROFILE_VERSION) throw new Error(t('errorSettingsFileNewer'));
+  if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error(t('errorSettingsFileEmpty'));
+  for (; version < PROFILE_VERSION; version++) {
+    values = PROFILE_MIGRATIONS[version](values);
+  }
+  return values;
+}
+
+// Keeps known fields, rejecting the whole file if any of them is invalid
+function validateProfileSettings(values) {
+  const valid = {};
+  const invalid = [];
+  Object.keys(PROFILE_FIELDS).forEach((key) => {
+    if (values[key] === undefined) return;
+    if (PROFILE_FIELDS[key](values[key])) {
+      valid[key] = values[key];
+    } else {
+      invalid.push(key);
     }
+  });
+  if (invalid.length) throw new Error(t('errorInvalidSettings', invalid.join(', ')));
+  if (!Object.keys(valid).length) throw new Error(t('errorSettingsFileEmpty'));
+  return valid;
+}
+
+// Applies a profile through the same paths as the individual UPDATE_* messages,
+// so pending clears are rescheduled as if each value had been set by hand.
+// Site rules, saved one at a time otherwise, are replaced as a whole. Fields
+// managed by policy are left alone and reported as skipped.
+async function importSettingsProfile(profile) {
+  await ensureSettingsLoaded();
+  const values = validateProfileSettings(migrateSettingsProfile(profile));
+  const skipped = Object.keys(values).filter((key) => MANAGED_KEYS[key] && isLocked(MANAGED_KEYS[key]));
+  skipped.forEach((key) => delete values[key]);
+  const applied = Object.keys(values);
+
+  const { extensionEnabled, siteRules, ...rest } = values;
+  for (const entry of settingsStore.SCHEMA) {
+    if (rest[entry.key] !== undefined) await applySettingUpdate(entry.update(rest[entry.key]));
+  }
+  if (siteRules) {
+    settings.siteRules = siteRules.map(sanitizeSiteRule);
+    await chrome.storage.sync.set({ siteRules: settings.siteRules });
+  }
+  // Last, so a disabled profile also cancels anything the interval change rescheduled
+  if (extensionEnabled !== undefined && extensionEnabled !== settings.enabled) {
+    setExtensionEnabled(extensionEnabled);
+  }
+  return { applied, skipped };
+}
+
+async function clearClipboardNow(trigger = 'manual') {
+  await ensureSettingsLoaded();
+  if (!settings.enabled) {
+    return { success: false, message: t('messageExtensionDisabled') };
+  }
+  return clearClipboard({ trigger });
+}
+
+function extendPendingClear(seconds = EXTEND_SECONDS) {
+  if (!pendingClear) {
+    return { success: false, message: t('messageNoPendingClear') };
+  }
+  scheduleClear({ ...pendingClear, deadline: Math.max(pendingClear.deadline, Date.now()) + seconds * 1000 });
+  return { success: true, deadline: pendingClear.deadline };
+}
+
+async function cancelClearNow() {
+  if (!pendingClear) {
+    return { success: false, message: t('messageNoPendingClear') };
+  }
+  const { incognito, contentHash } = pendingClear;
+  await cancelPendingClear();
+  if (incognito) {
+    await chrome.storage.session.set({ [KEPT_INCOGNITO_KEY]: { contentHash } }).catch(() => {});
+  }
+  showIdleBadge();
+  return { success: true };
+}
+
+// What the popup needs to draw the countdown; never includes the content hash
+function getState() {
+  return {
+    enabled: settings.enabled,
+    snoozedUntil: settings.snoozedUntil,
+    pending: pendingClear ? {
+      deadline: pendingClear.deadline,
+      startedAt: pendingClear.startedAt || null,
+      origin: pendingClear.origin,
+      trigger: pendingClear.trigger,
+      isPassword: pendingClear.isPassword,
+    } : null,
+  };
+}
+
+function postState(port) {
+  try {
+    port.postMessage(getState());
   } 
-  catch (error) {
-    console.error('[Copy, Paste, Forget!] Error saving settings:', error);
+  catch (_) {
+    // The popup closed before its disconnect event arrived
+    statePorts.delete(port);
   }
 }
 
-async function ensureOffscreen() {
-  if (!chrome.offscreen || !chrome.offscreen.createDocument) return false;
+function broadcastState() {
+  statePorts.forEach(postState);
+}
+
+// Mirrors a paste-started countdown onto the opt-in toast in the frame that
+// received the paste, and takes the toast down anywhere it no longer applies
+function updatePageToast() {
+  const target = pendingClear && settings.showPageToast && pendingClear.trigger === 'paste' &&
+    pendingClear.tabId !== null && pendingClear.frameId !== null
+    ? { tabId: pendingClear.tabId, frameId: pendingClear.frameId }
+    : null;
+  if (toastFrame && !(target && target.tabId === toastFrame.tabId && target.frameId === toastFrame.frameId)) {
+    sendToastMessage(toastFrame, { type: 'HIDE_PAGE_TOAST' });
+  }
+  toastFrame = target;
+  if (target) sendToastMessage(target, { type: 'SHOW_PAGE_TOAST', deadline: pendingClear.deadline });
+}
+
+function sendToastMessage(target, message) {
+  // The tab may have navigated or closed; the toast went with it
+  chrome.tabs.sendMessage(target.tabId, message, { frameId: target.frameId }).catch(() => {});
+}
+
+function handlePasteEvent(details = {}) {
+  const pending = {
+    startedAt: Date.now(),
+    contentHash: typeof details.contentHash === 'string' ? details.contentHash : null,
+    origin: typeof details.origin === 'string' ? details.origin : null,
+    trigger: details.trigger || 'paste',
+    isPassword: Boolean(details.isPassword),
+    tabId: typeof details.tabId === 'number' ? details.tabId : null,
+    frameId: typeof details.frameId === 'number' ? details.frameId : null,
+    tabOrigin: typeof details.tabOrigin === 'string' ? details.tabOrigin : null,
+    incognito: Boolean(details.incognito),
+    contentTypes: sanitizeContentTypes(details.contentTypes),
+    siteInterval: Number.isInteger(details.siteInterval) ? details.siteInterval : null,
+  };
+  scheduleClear({ ...pending, deadline: Date.now() + getPasteInterval(pending) * 1000 });
+}
+
+// Format names reported by a content script; anything odd is dropped
+function sanitizeContentTypes(types) {
+  if (!Array.isArray(types)) return null;
+  const valid = types.filter((type) => typeof type === 'string' && type.length <= 100).slice(0, 20);
+  return valid.length ? valid : null;
+}
+
+// Sensitive pastes use the password interval when one is set; everything else
+// uses the site rule's interval, then the global one. A password interval of 0
+// ("immediately") only applies to pastes: clearing straight after a copy would
+// throw away what was just copied. Private windows never wait longer than
+// the incognito interval.
+function getPasteInterval(pending) {
+  let interval = pending.siteInterval || settings.interval;
+  // A site rule may shorten an interval forced by policy, never lengthen it
+  if (managedSettings.clipboardInterval !== undefined) interval = Math.min(interval, settings.interval);
+  if (pending.isPassword && settings.passwordInterval !== null &&
+      (settings.passwordInterval !== 0 || pending.trigger === 'paste')) {
+    interval = settings.passwordInterval;
+  }
+  if (pending.incognito && settings.incognitoInterval !== null) {
+    interval = Math.min(interval, settings.incognitoInterval);
+  }
+  return interval;
+}
+
+// Run the pending clear now if the event's setting is on and it applies to
+// that clear. The clipboard-changed check still applies.
+async function clearOnEvent(setting, trigger, matches = () => true) {
+  await ensureSettingsLoaded();
+  await resumePendingClear();
+  if (!settings.enabled || !settings[setting] || !pendingClear || !matches(pendingClear)) return;
+  const pending = { ...pendingClear, trigger };
+  stopCountdown();
+  await runScheduledClear(pending);
+}
+
+// Private windows: once the last one closes, nothing pasted there should
+// outlive it on the clipboard, even if its clear was cancelled or kept
+async function clearOnIncognitoClose() {
+  await ensureSettingsLoaded();
+  await resumePendingClear();
+  if (!settings.enabled || !settings.clearOnIncognitoClose) return;
+  if (pendingClear && pendingClear.incognito) {
+    await clearOnEvent('clearOnIncognitoClose', 'incognito-closed');
+    return;
+  }
+  const result = await chrome.storage.session.get(KEPT_INCOGNITO_KEY).catch(() => ({}));
+  const kept = result[KEPT_INCOGNITO_KEY];
+  if (!kept) return;
+  await chrome.storage.session.remove(KEPT_INCOGNITO_KEY).catch(() => {});
+  // Same check as a scheduled clear: leave anything copied since alone
+  if (kept.contentHash) {
+    const currentHash = await readClipboardHash();
+    if (currentHash && currentHash !== kept.contentHash) return;
+  }
+  await clearClipboard({ trigger: 'incognito-closed', incognito: true });
+}
+
+async function saveSiteRule(input) {
+  await ensureSettingsLoaded();
+  assertUnlocked('siteRules');
+  const rule = sanitizeSiteRule(input);
+  if (!rule) {
+    throw new Error(t('errorInvalidSiteRule'));
+  }
+  const siteRules = settings.siteRules.filter((r) => r.host !== rule.host).concat(rule);
+  await chrome.storage.sync.set({ siteRules });
+  settings.siteRules = siteRules;
+  return siteRules;
+}
+
+// Most specific rule wins: a rule for "github.com" also covers "gist.github.com"
+function findSiteRule(origin) {
+  const host = normalizeHost(origin);
+  if (!host) return null;
+  let match = null;
+  for (const rule of settings.siteRules) {
+    if (host === rule.host || host.endsWith('.' + rule.host)) {
+      if (!match || rule.host.length > match.host.length) match = rule;
+    }
+  }
+  return match;
+}
+
+function scheduleClear(pending) {
+  const { deadline } = pending;
+  stopCountdown();
+  startCountdown(deadline);
+  pendingClear = pending;
+
+  // In-memory timer for precision while the worker is alive
+  clearTimer = setTimeout(() => {
+    clearTimer = null;
+    runScheduledClear(pending);
+  }, Math.max(0, deadline - Date.now()));
+
+  // Too-short countdowns get no warning; there is no time to react
+  const warningDelay = deadline - Date.now() - WARNING_SECONDS * 1000;
+  if (settings.notifyBeforeClear && warningDelay >= 0) {
+    warningTimer = setTimeout(() => {
+      warningTimer = null;
+      showWarningNotification();
+    }, warningDelay);
+  }
+
+  // Alarm + session record as a backstop if the worker is suspended first
+  chrome.storage.session.set({ [PENDING_CLEAR_KEY]: pending }).catch(() => {});
+  chrome.alarms.create(CLEAR_ALARM, { when: deadline }).catch(() => {});
+  broadcastState();
+  updatePageToast();
+}
+
+function startCountdown(deadline) {
+  chrome.action.setBadgeBackgroundColor({ color: '#ff9800' });
+
+  const render = () => {
+    const timeLeft = Math.ceil((deadline - Date.now()) / 1000);
+    if (timeLeft > 0) {
+      chrome.action.setBadgeText({ text: timeLeft.toString() });
+    } else {
+      clearInterval(countdownTimer);
+      countdownTimer = null;
+    }
+  };
+  render();
+  countdownTimer = setInterval(render, 1000);
+}
+
+function stopCountdown() {
+  if (clearTimer) {
+    clearTimeout(clearTimer);
+    clearTimer = null;
+  }
+  if (warningTimer) {
+    clearTimeout(warningTimer);
+    warningTimer = null;
+  }
+  clearNotification(WARNING_NOTIFICATION_ID);
+  if (countdownTimer) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+}
+
+async function cancelPendingClear() {
+  stopCountdown();
+  pendingClear = null;
+  broadcastState();
+  updatePageToast();
   try {
-    const has = chrome.offscreen.hasDocument ? await chrome.offscreen.hasDocument() : false;
-    if (!has) {
-      await chrome.offscreen.createDocument({
-        url: 'offscreen.html',
-        reasons: ['CLIPBOARD'],
-        justification: 'Clear clipboard when no tabs available',
+    await chrome.storage.session.remove(PENDING_CLEAR_KEY);
+    await chrome.alarms.clear(CLEAR_ALARM);
+  } 
+  catch (_) {}
+}
+
+// Pick up a clear persisted by a previous worker instance. Overdue clears run
+// immediately; otherwise the timer and badge countdown are rebuilt.
+function resumePendingClear() {
+  if (resumePromise) return resumePromise;
+  resumePromise = (async () => {
+    try {
+      const result = await chrome.storage.session.get(PENDING_CLEAR_KEY);
+      const pending = result[PENDING_CLEAR_KEY];
+      if (!pending || typeof pending.deadline !== 'number') return;
+      if (pending.deadline <= Date.now()) {
+        await runScheduledClear(pending);
+      } else if (!clearTimer) {
+        scheduleClear(pending);
+      }
+    } 
+    catch (error) {
+      console.log('[Copy, Paste, Forget!] Error resuming pending clear:', error);
+    }
+  })().finally(() => {
+    resumePromise = null;
+  });
+  return resumePromise;
+}
+
+// Timer-driven clear: leave the clipboard alone if it no longer holds what
+// was pasted. If the clipboard cannot be read, clear anyway.
+async function runScheduledClear(pending) {
+  const context = {
+    trigger: pending.trigger,
+    origin: pending.origin,
+    isPassword: pending.isPassword,
+    incognito: pending.incognito,
+    types: pending.contentTypes,
+  };
+  if (pending.contentHash) {
+    const currentHash = await readClipboardHash();
+    if (currentHash && currentHash !== pending.contentHash) {
+      await cancelPendingClear();
+      showSkippedBadge();
+      await recordLastClear('skipped');
+      await recordHistory({ ...context, status: 'skipped', method: null, error: null });
+      return;
+    }
+  }
+  const result = await clearClipboard(context);
+  await recordLastClear(result.success ? 'cleared' : 'failed');
+}
+
+// Append to the clear history; writes are chained so concurrent clears don't race.
+// Clears of private-window pastes are never written down.
+function recordHistory(entry) {
+  if (entry.incognito) return historyWriteChain;
+  historyWriteChain = historyWriteChain.then(async () => {
+    try {
+      const result = await chrome.storage.local.get(HISTORY_KEY);
+      const entries = Array.isArray(result[HISTORY_KEY]) ? result[HISTORY_KEY] : [];
+      entries.push({
+        timestamp: Date.now(),
+        origin: entry.origin || null,
+        trigger: entry.trigger || 'manual',
+        isPassword: Boolean(entry.isPassword),
+        status: entry.status,
+        method: entry.method || null,
+        verified: typeof entry.verified === 'boolean' ? entry.verified : null,
+        error: entry.error || null,
+        types: Array.isArray(entry.types) ? entry.types : null,
       });
+      await chrome.storage.local.set({ [HISTORY_KEY]: entries.slice(-HISTORY_LIMIT) });
+    } 
+    catch (error) {
+      console.log('[Copy, Paste, Forget!] Error recording history:', error);
     }
-    // Wait for offscreen to be responsive
-    const ready = await pingOffscreen(5, 200);
-    return !!ready;
+  });
+  return historyWriteChain;
+}
+
+async function getHistory() {
+  await historyWriteChain;
+  const result = await chrome.storage.local.get(HISTORY_KEY);
+  return Array.isArray(result[HISTORY_KEY]) ? result[HISTORY_KEY] : [];
+}
+
+// A failed purge is reported to the caller but must not break later history writes
+function purgeHistory() {
+  const purge = historyWriteChain.then(() => chrome.storage.local.remove(HISTORY_KEY));
+  historyWriteChain = purge.catch(() => {});
+  return purge;
+}
+
+// Support details for the options page: which clearing strategies this
+// browser offers, what policy controls, and how recent clears went. Carries
+// no clipboard content and no sites.
+async function getDiagnostics() {
+  await ensureSettingsLoaded();
+  const [entries, session] = await Promise.all([getHistory(), chrome.storage.session.get(LAST_CLEAR_KEY)]);
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  return {
+    version: chrome.runtime.getManifest().version,
+    browser: compat.isFirefox ? 'firefox' : 'chromium',
+    strategies: CLEAR_STRATEGIES.map((strategy) => ({
+      name: strategy.name,
+      available: !strategy.available || strategy.available(),
+    })),
+    managedKeys: Object.keys(managedSettings),
+    snoozedUntil: settings.snoozedUntil,
+    pending: Boolean(pendingClear),
+    lastClear: session[LAST_CLEAR_KEY] || null,
+    history: { total: entries.length, cleared: count('cleared'), skipped: count('skipped'), failed: count('failed') },
+    recentFailures: entries.filter((entry) => entry.status === 'failed').slice(-5).map((entry) => ({
+      timestamp: entry.timestamp,
+      trigger: entry.trigger,
+      error: entry.error,
+    })),
+  };
+}
+
+async function recordLastClear(status) {
+  try {
+    await chrome.storage.session.set({ [LAST_CLEAR_KEY]: { status, timestamp: Date.now() } });
+  } 
+  catch (_) {}
+}
+
+function getHashSalt() {
+  if (hashSaltPromise) return hashSaltPromise;
+  hashSaltPromise = (async () => {
+    const result = await chrome.storage.session.get(HASH_SALT_KEY);
+    if (typeof result[HASH_SALT_KEY] === 'string') return result[HASH_SALT_KEY];
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    const salt = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    await chrome.storage.session.set({ [HASH_SALT_KEY]: salt });
+    return salt;
+  })().catch((error) => {
+    hashSaltPromise = null;
+    throw error;
+  });
+  return hashSaltPromise;
+}
+
+// Ask the offscreen document for a salted hash of the current clipboard text.
+// Resolves to null when the clipboard cannot be read.
+async function readClipboardHash() {
+  try {
+    const salt = await getHashSalt();
+    const res = await queryOffscreen({ type: 'OFFSCREEN_HASH_CLIPBOARD', salt });
+    return res && res.success && typeof res.hash === 'string' ? res.hash : null;
   } 
   catch (_) {
-    return false;
+    return null;
+  }
+}
+
+// Read the clipboard back after a clear. Resolves to true (empty), false
+// (content remains) or null (clipboard could not be read).
+async function verifyClipboardEmpty() {
+  try {
+    const res = await queryOffscreen({ type: 'OFFSCREEN_CHECK_CLIPBOARD_EMPTY' });
+    return res && res.success ? Boolean(res.empty) : null;
+  } 
+  catch (_) {
+    return null;
+  }
+}
+
+// MIME types on the clipboard (e.g. text/plain, image/png, Files), or null if
+// it cannot be read. Only the format names are read, never the content.
+async function readClipboardTypes() {
+  try {
+    const res = await queryOffscreen({ type: 'OFFSCREEN_CLIPBOARD_TYPES' });
+    return res && res.success && Array.isArray(res.types) ? res.types : null;
+  } 
+  catch (_) {
+    return null;
+  }
+}
+
+// One-off request to a fresh offscreen document, closed again afterwards.
+// Without offscreen documents (Firefox) the background page answers itself.
+async function queryOffscreen(message) {
+  if (!compat.hasOffscreen) {
+    return compat.hasDom ? queryBackgroundPage(message) : null;
+  }
+  try {
+    if (!(await ensureOffscreen())) return null;
+    return await sendOffscreenMessage(message);
+  } 
+  finally {
+    if (chrome.offscreen && chrome.offscreen.closeDocument) {
+      try { await chrome.offscreen.closeDocument(); } catch (_) {}
+    }
   }
 }
 
-async function clearClipboardOffscreen() {
-  const ready = await ensureOffscreen();
-  if (!ready) {
-    // Fallback: ephemeral tab
+// Same answers as offscreen.js, read directly from the event page (needs clipboardRead)
+async function queryBackgroundPage(message) {
+  const text = await navigator.clipboard.readText();
+  let types = text ? ['text/plain'] : [];
+  if (navigator.clipboard.read) {
     try {
-      let tab;
+      const items = await navigator.clipboard.read();
+      types = [...new Set(items.flatMap((item) => Array.from(item.types)))];
+    } 
+    catch (_) {
+      // Text is all there is to go on
+    }
+  }
+  switch (message.type) {
+    case 'OFFSCREEN_HASH_CLIPBOARD':
+      return { success: true, hash: await clipboardUtils.hashText(message.salt, text) };
+    case 'OFFSCREEN_CHECK_CLIPBOARD_EMPTY':
+      return { success: true, empty: text.trim() === '' && types.every((type) => type === 'text/plain'), types };
+    case 'OFFSCREEN_CLIPBOARD_TYPES':
+      return { success: true, types };
+    default:
+      return null;
+  }
+}
+
+// Runs the clearing pipeline and records the outcome in history. Resolves to
+// { success, strategy, verified, types, attempts: [{ strategy, ok, error }], error },
+// where types lists the formats that were on the clipboard beforehand.
+async function clearClipboard(context = { trigger: 'manual' }) {
+  const result = await runClearPipeline();
+  await recordHistory({
+    ...context,
+    types: result.types || context.types,
+    status: result.success ? 'cleared' : 'failed',
+    method: result.strategy,
+    verified: result.verified,
+    error: result.error,
+  });
+  return result;
+}
+
+// Strategies are tried in order. Each resolves to { ok, error }; a strategy
+// only counts once the clipboard reads back empty (or cannot be read at all).
+async function runClearPipeline() {
+  const attempts = [];
+  let types = null;
+  try {
+    await cancelPendingClear();
+    types = await readClipboardTypes();
+
+    for (const strategy of CLEAR_STRATEGIES) {
+      if (strategy.available && !strategy.available()) continue;
+      let outcome;
       try {
-        tab = await chrome.tabs.create({ url: chrome.runtime.getURL('offscreen.html'), active: false });
+        outcome = await strategy.run();
       } 
-      catch (_) {
-        // If no window exists, create a minimized popup window
-        const win = await chrome.windows.create({
-          url: chrome.runtime.getURL('offscreen.html'),
-          type: 'popup',
-          focused: false,
-          state: 'minimized',
-          width: 200,
-          height: 120,
-        });
-        await new Promise((r) => setTimeout(r, 800));
-        try { if (win && win.id) await chrome.windows.remove(win.id); } catch (_) {}
-        return true;
+      catch (error) {
+        outcome = { ok: false, error: error.message };
       }
-      // Give it a moment to run, then close
-      await new Promise((r) => setTimeout(r, 700));
-      if (tab && tab.id) {
-        try { await chrome.tabs.remove(tab.id); } catch (_) {}
+
+      if (outcome.ok) {
+        const empty = await verifyClipboardEmpty();
+        if (empty !== false) {
+          attempts.push({ strategy: strategy.name, ok: true, error: null });
+          showClearedFeedback();
+          return { success: true, strategy: strategy.name, verified: empty === true, types, attempts, error: null };
+        }
+        outcome = { ok: false, error: 'Clipboard still had content after clearing' };
       }
-      return true; // best effort
+      attempts.push({ strategy: strategy.name, ok: false, error: outcome.error || 'Unknown error' });
+    }
+
+    const error = attempts.map((a) => `${a.strategy}: ${a.error}`).join('; ');
+    console.error('[Copy, Paste, Forget!] All clearing strategies failed:', error);
+    return { success: false, strategy: null, verified: false, types, attempts, error };
+  } 
+  catch (error) {
+    console.error('[Copy, Paste, Forget!] Error in clearClipboard:', error);
+    return { success: false, strategy: null, verified: false, types, attempts, error: error.message };
+  }
+}
+
+function isScriptableUrl(url) {
+  return Boolean(url) && !UNSCRIPTABLE_PREFIXES.some((prefix) => url.startsWith(prefix));
+}
+
+async function clearViaActiveTab() {
+  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+  const tab = tabs && tabs[0];
+  if (!tab || !isScriptableUrl(tab.url)) {
+    return { ok: false, error: 'No scriptable active tab' };
+  }
+  return clearInTab(tab.id);
+}
+
+async function clearViaOtherTab() {
+  const tabs = await chrome.tabs.query({ active: false });
+  const candidates = tabs.filter((tab) => isScriptableUrl(tab.url)).slice(0, MAX_TAB_ATTEMPTS);
+  if (!candidates.length) {
+    return { ok: false, error: 'No other scriptable tab' };
+  }
+  let outcome = null;
+  for (const tab of candidates) {
+    try {
+      outcome = await clearInTab(tab.id);
     } 
-    catch (_) {
-      return false;
+    catch (error) {
+      outcome = { ok: false, error: error.message };
     }
+    if (outcome.ok) return outcome;
   }
+  return outcome;
+}
 
-  // Ask offscreen document to clear clipboard
-  try {
-    const send = () => new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error('Offscreen timeout')), 3000);
-      chrome.runtime.sendMessage({ type: 'OFFSCREEN_CLEAR_CLIPBOARD' }, (response) => {
-        clearTimeout(timeout);
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response);
-        }
-      });
-    });
-    let res;
+// executeScript resolves with the injected function's (awaited) return value
+async function clearInTab(tabId) {
+  const [injection] = await chrome.scripting.executeScript({ target: { tabId }, func: clearClipboardInTab });
+  const result = injection && injection.result;
+  if (result && result.ok) return { ok: true, error: null };
+  return { ok: false, error: (result && result.error) || 'Injected script returned no result' };
+}
+
+async function clearViaContentScript() {
+  const tabs = await chrome.tabs.query({});
+  let error = 'No content script responded';
+  for (const tab of tabs.filter((t) => isScriptableUrl(t.url))) {
     try {
-      res = await send();
-    } catch (e) {
-      // Offscreen may not be fully ready; retry once after short delay
-      await new Promise((r) => setTimeout(r, 500));
-      res = await send();
-    }
-    if (res && res.success) {
-      // Close when not needed
-      if (chrome.offscreen && chrome.offscreen.closeDocument) {
-        try { await chrome.offscreen.closeDocument(); } catch (_) {}
-      }
-      return true;
+      // Only the top frame; subframes usually lack clipboard access and would answer first
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'CLEAR_CLIPBOARD_REQUEST' }, { frameId: 0 });
+      if (response && response.success) return { ok: true, error: null };
+      if (response && response.error) error = response.error;
+    } 
+    catch (_) {
+      // No content script in this tab
     }
+  }
+  return { ok: false, error };
+}
+
+// Firefox runs the background as an event page, which can write to the
+// clipboard itself with the clipboardWrite permission
+async function clearViaBackgroundPage() {
+  return clearClipboardInTab();
+}
+
+async function clearViaOffscreen() {
+  if (!(await ensureOffscreen())) {
+    return { ok: false, error: 'Offscreen document unavailable' };
+  }
+  try {
+    const res = await sendOffscreenMessage({ type: 'OFFSCREEN_CLEAR_CLIPBOARD' });
+    if (res && res.success) return { ok: true, error: null };
+    return { ok: false, error: (res && res.error) || 'Offscreen document did not clear' };
   } 
-  catch (_) {}
-  // If offscreen did not respond, fall back to ephemeral window path
+  catch (error) {
+    return { ok: false, error: error.message };
+  } 
+  finally {
+    // Close when not needed
+    if (chrome.offscreen && chrome.offscreen.closeDocument) {
+      try { await chrome.offscreen.closeDocument(); } catch (_) {}
+    }
+  }
+}
+
+// offscreen.html#clear clears on load and closes itself. There is no channel
+// back, so this is best effort and relies on the read-back verification.
+async function clearViaEphemeralWindow() {
+  const url = chrome.runtime.getURL('offscreen.html#clear');
   try {
     const win = await chrome.windows.create({
-      url: chrome.runtime.getURL('offscreen.html'),
+      url,
       type: 'popup',
       focused: false,
       state: 'normal',
@@ -368,13 +1448,292 @@ async function clearClipboardOffscreen() {
     });
     await new Promise((r) => setTimeout(r, 800));
     try { if (win && win.id) await chrome.windows.remove(win.id); } catch (_) {}
-    return true;
+    return { ok: true, error: null };
+  } 
+  catch (_) {
+    // No window could be created; try a background tab instead
+  }
+  try {
+    const tab = await chrome.tabs.create({ url, active: false });
+    await new Promise((r) => setTimeout(r, 700));
+    try { if (tab && tab.id) await chrome.tabs.remove(tab.id); } catch (_) {}
+    return { ok: true, error: null };
+  } 
+  catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+// Injected into a page, or run as-is in Firefox's background page; must be
+// self-contained. Resolves to { ok, error }.
+async function clearClipboardInTab() {
+  let modernError = null;
+  // One empty item replaces every format (images, HTML, files); a text write
+  // can leave those behind
+  try {
+    if (navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem === 'function') {
+      await navigator.clipboard.write([new ClipboardItem({ 'text/plain': new Blob([''], { type: 'text/plain' }) })]);
+      return { ok: true, error: null };
+    }
+  } 
+  catch (err) {
+    modernError = err && err.message;
+  }
+
+  try {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText('');
+      return { ok: true, error: null };
+    }
+  } 
+  catch (err) {
+    modernError = err && err.message;
+  }
+
+  try {
+    const textarea = document.createElement('textarea');
+    // Use a single space to ensure a non-empty selection is copied
+    textarea.value = ' ';
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    textarea.style.left = '-9999px';
+    document.body.appendChild(textarea);
+    textarea.select();
+    textarea.setSelectionRange(0, textarea.value.length);
+    const success = document.execCommand('copy');
+    document.body.removeChild(textarea);
+    if (success) {
+      // If possible, overwrite with a truly empty string using modern API
+      try { navigator.clipboard && navigator.clipboard.writeText && navigator.clipboard.writeText('').catch(() => {}); } catch (_) {}
+      return { ok: true, error: null };
+    }
+    return { ok: false, error: modernError || 'execCommand copy failed' };
+  } 
+  catch (execError) {
+    return { ok: false, error: modernError || (execError && execError.message) || 'execCommand copy failed' };
+  }
+}
+
+function showClearedFeedback() {
+  showClearedBadge();
+  if (settings.notifyOnClear) {
+    showNotification(CLEARED_NOTIFICATION_ID, {
+      title: t('notifyClearedTitle'),
+      message: t('notifyClearedMessage'),
+    });
+  }
+}
+
+function showWarningNotification() {
+  showNotification(WARNING_NOTIFICATION_ID, {
+    title: t('notifyWarningTitle'),
+    message: t('notifyWarningMessage', String(WARNING_SECONDS)),
+    buttons: [{ title: t('keep') }, { title: t('clearNowShort') }],
+    requireInteraction: true,
+  });
+}
+
+function showNotification(id, options) {
+  try {
+    chrome.notifications.create(id, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      priority: 1,
+      ...options,
+    }, () => void chrome.runtime.lastError);
+  } 
+  catch (error) {
+    console.log('[Copy, Paste, Forget!] Error showing notification:', error);
+  }
+}
+
+function clearNotification(id) {
+  try {
+    chrome.notifications.clear(id, () => void chrome.runtime.lastError);
+  } 
+  catch (_) {}
+}
+
+function showClearedBadge() {
+  chrome.action.setBadgeText({ text: t('badgeCleared') });
+  chrome.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+  setTimeout(showIdleBadge, 2000);
+}
+
+function showSkippedBadge() {
+  chrome.action.setBadgeText({ text: t('badgeSkipped') });
+  chrome.action.setBadgeBackgroundColor({ color: '#888' });
+  setTimeout(showIdleBadge, 2000);
+}
+
+// Badge when no countdown is running: blank, or a reminder that clearing is snoozed
+function showIdleBadge() {
+  if (settings.enabled && isSnoozed()) {
+    const until = new Date(settings.snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    chrome.action.setBadgeBackgroundColor({ color: '#607d8b' });
+    chrome.action.setBadgeText({ text: t('badgeSnoozed') });
+    chrome.action.setTitle({ title: t('actionTitleSnoozed', until) });
+  } else {
+    chrome.action.setBadgeText({ text: '' });
+    chrome.action.setTitle({ title: t('actionTitle') });
+  }
+}
+
+async function updateSettings(newInterval) {
+  await ensureSettingsLoaded();
+  assertUnlocked('interval');
+  settings.interval = newInterval;
+  try {
+    await chrome.storage.sync.set({ clipboardInterval: newInterval });
+    updateContextMenus();
+    if (clearTimer) {
+      scheduleClear({ ...pendingClear, deadline: Date.now() + getPasteInterval(pendingClear) * 1000 });
+    }
+  } 
+  catch (error) {
+    console.error('[Copy, Paste, Forget!] Error saving settings:', error);
+  }
+}
+
+// null means sensitive pastes use the normal interval
+async function updatePasswordInterval(value) {
+  await ensureSettingsLoaded();
+  assertUnlocked('interval');
+  if (!isValidPasswordInterval(value)) throw new Error(t('errorInvalidPasswordInterval'));
+  settings.passwordInterval = value;
+  await chrome.storage.sync.set({ passwordClipboardInterval: value });
+  if (clearTimer && pendingClear.isPassword) {
+    scheduleClear({ ...pendingClear, deadline: Date.now() + getPasteInterval(pendingClear) * 1000 });
+  }
+}
+
+async function updateIncognitoSettings({ interval, clearOnClose }) {
+  await ensureSettingsLoaded();
+  assertUnlocked('incognito');
+  const changes = {};
+  if (interval !== undefined) {
+    if (!isValidIncognitoInterval(interval)) throw new Error(t('errorInvalidIncognitoInterval'));
+    settings.incognitoInterval = interval;
+    changes.incognitoClipboardInterval = interval;
+  }
+  if (clearOnClose !== undefined) {
+    settings.clearOnIncognitoClose = Boolean(clearOnClose);
+    changes.clearOnIncognitoClose = settings.clearOnIncognitoClose;
+  }
+  await chrome.storage.sync.set(changes);
+  if (clearTimer && pendingClear.incognito && 'incognitoClipboardInterval' in changes) {
+    scheduleClear({ ...pendingClear, deadline: Date.now() + getPasteInterval(pendingClear) * 1000 });
+  }
+}
+
+async function createContextMenus() {
+  await ensureSettingsLoaded();
+  try {
+    await chrome.contextMenus.removeAll();
+    chrome.contextMenus.create({ id: 'clear-now', title: t('commandClearNow'), contexts: MENU_CONTEXTS });
+    chrome.contextMenus.create({ id: 'clear-in-interval', title: getClearInTitle(), contexts: MENU_CONTEXTS });
+    chrome.contextMenus.create({ id: 'disable-on-site', title: t('menuDisableOnSite'), contexts: ['page', 'selection', 'editable'] });
+    chrome.contextMenus.create({ id: 'paste-and-clear', title: t('menuPasteAndClear'), contexts: ['editable'] });
+    chrome.contextMenus.create({ id: 'snooze', title: t('menuSnooze'), contexts: ['action'] });
+    SNOOZE_MINUTES.forEach((minutes) => {
+      const title = minutes === 60 ? t('menuSnoozeHour') : t('menuSnoozeMinutes', String(minutes));
+      chrome.contextMenus.create({ id: `snooze-${minutes}`, parentId: 'snooze', title, contexts: ['action'] });
+    });
+    chrome.contextMenus.create({ id: 'resume-now', title: t('menuResume'), contexts: ['action'], visible: isSnoozed() });
+  } 
+  catch (error) {
+    console.error('[Copy, Paste, Forget!] Error creating context menus:', error);
+  }
+}
+
+function getClearInTitle() {
+  return t('menuClearIn', String(settings.interval));
+}
+
+function updateContextMenus() {
+  // Menus may not exist yet (e.g. before onInstalled); ignore
+  const ignoreError = () => void chrome.runtime.lastError;
+  try {
+    chrome.contextMenus.update('clear-in-interval', { title: getClearInTitle() }, ignoreError);
+    chrome.contextMenus.update('resume-now', { visible: isSnoozed() }, ignoreError);
+  } 
+  catch (_) {}
+}
+
+// Paste into the field the menu was opened on, then clear straight away
+async function pasteAndClear(tab, frameId) {
+  if (!tab || !tab.id) return;
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id, frameIds: [frameId || 0] },
+      func: pasteIntoFocusedField,
+    });
+  } 
+  catch (error) {
+    console.log('[Copy, Paste, Forget!] Paste from context menu failed:', error);
+  }
+  await clearClipboard({ trigger: 'context-menu', origin: getOrigin(tab.url), incognito: Boolean(tab.incognito) });
+}
+
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } 
+  catch (_) {
+    return null;
+  }
+}
+
+function pasteIntoFocusedField() {
+  try {
+    return document.execCommand('paste');
+  } 
+  catch (_) {
+    return false;
+  }
+}
+
+async function ensureOffscreen() {
+  if (!chrome.offscreen || !chrome.offscreen.createDocument) return false;
+  try {
+    const has = chrome.offscreen.hasDocument ? await chrome.offscreen.hasDocument() : false;
+    if (!has) {
+      await chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: ['CLIPBOARD'],
+        justification: 'Clear clipboard when no tabs available',
+      });
+    }
+    // Wait for offscreen to be responsive
+    const ready = await pingOffscreen(5, 200);
+    return !!ready;
   } 
   catch (_) {
     return false;
   }
 }
 
+async function sendOffscreenMessage(message) {
+  const send = () => new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('Offscreen timeout')), 3000);
+    chrome.runtime.sendMessage(message, (response) => {
+      clearTimeout(timeout);
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+  try {
+    return await send();
+  } catch (e) {
+    // Offscreen may not be fully ready; retry once after short delay
+    await new Promise((r) => setTimeout(r, 500));
+    return send();
+  }
+}
+
 function pingOffscreen(retries = 3, delay = 150) {
   const attempt = () => new Promise((resolve) => {
     try {
@@ -0,0 +1,34 @@
+// Clipboard helpers shared by the content script, the offscreen document and
+// the background. A paste's hash is compared with the clipboard's later on,
+// so every context has to hash text the same way.
+
+(function() {
+  'use strict';
+
+  const root = typeof globalThis !== 'undefined' ? globalThis : self;
+
+  // Content scripts can be injected more than once into the same page
+  if (root.clipboardUtils) return;
+
+  // Salted SHA-256 of the text, with line endings normalized
+  async function hashText(salt, text) {
+    if (typeof salt !== 'string' || !salt) throw new Error('Missing salt');
+    const normalized = String(text).replace(/\r\n?/g, '\n');
+    const data = new TextEncoder().encode(salt + '\u0000' + normalized);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // MIME types on a DataTransfer, or null without one. 'Files' only says
+  // files are present, so each file's own type is added where known.
+  function getClipboardTypes(data) {
+    if (!data) return null;
+    const types = new Set(Array.from(data.types || []));
+    Array.from(data.items || []).forEach((item) => {
+      if (item.kind === 'file' && item.type) types.add(item.type);
+    });
+    return Array.from(types);
+  }
+
+  root.clipboardUtils = { hashText, getClipboardTypes };
+})();
@@ -0,0 +1,93 @@
+// Cross-browser shim loaded ahead of the background, popup, offscreen and
+// content scripts. The extension is written against `chrome.*`, using both
+// callbacks and returned promises. Firefox only returns promises from
+// `browser.*`, so there `chrome` is replaced with a wrapper around `browser`
+// that accepts either style and reports failures through runtime.lastError.
+
+(function() {
+  'use strict';
+
+  const root = typeof globalThis !== 'undefined' ? globalThis : self;
+
+  // Content scripts can be injected more than once into the same page
+  if (root.compat) return;
+
+  const native = typeof browser !== 'undefined' && browser && browser.runtime ? browser : null;
+  const isFirefox = Boolean(native && native.runtime.getURL('').startsWith('moz-extension://'));
+
+  if (isFirefox) {
+    root.chrome = wrapNamespace(native);
+  }
+
+  const api = root.chrome;
+
+  root.compat = {
+    isFirefox,
+    // Chrome has offscreen documents; Firefox runs the background as an
+    // event page that has a DOM of its own
+    hasOffscreen: Boolean(api && api.offscreen && api.offscreen.createDocument),
+    hasDom: typeof document !== 'undefined',
+  };
+
+  function wrapNamespace(target) {
+    const state = { lastError: undefined };
+    const cache = new WeakMap();
+
+    const wrap = (obj) => {
+      if (cache.has(obj)) return cache.get(obj);
+      const proxy = new Proxy(obj, {
+        get(target, key) {
+          if (key === 'lastError' && target === native.runtime) return state.lastError;
+          const value = target[key];
+          if (typeof value === 'function') {
+            return (...args) => callWithCallback(value, target, args, state);
+          }
+          // Events are passed through untouched; their listeners are not callbacks
+          if (value && typeof value === 'object' && typeof value.addListener !== 'function') {
+            return wrap(value);
+          }
+          return value;
+        },
+      });
+      cache.set(obj, proxy);
+      return proxy;
+    };
+
+    return wrap(target);
+  }
+
+  // A trailing function argument is a chrome-style callback; call it once the
+  // promise settles, with runtime.lastError set only while it runs
+  function callWithCallback(fn, thisArg, args, state) {
+    const callback = args.length && typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    let result;
+    try {
+      result = fn.apply(thisArg, args);
+    }
+    catch (error) {
+      if (!callback) throw error;
+      result = Promise.reject(error);
+    }
+    if (!callback) return result;
+
+    const invoke = (lastError, value) => {
+      state.lastError = lastError;
+      try {
+        callback(value);
+      }
+      finally {
+        state.lastError = undefined;
+      }
+    };
+    if (result && typeof result.then === 'function') {
+      result.then(
+        (value) => invoke(undefined, value),
+        (error) => invoke({ message: (error && error.message) || String(error) })
+      );
+      return undefined;
+    }
+    // Synchronous APIs such as contextMenus.create return their value directly
+    Promise.resolve().then(() => invoke(undefined));
+    return result;
+  }
+})();
@@ -15,13 +15,45 @@
   // Track extension context validity
   let extensionContextValid = true;
   
+  // Built-in secret formats; only the matching kind ever leaves this script
+  const SENSITIVE_PATTERNS = [
+    { kind: 'private-key', regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/ },
+    { kind: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/ },
+    { kind: 'aws-access-key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+    { kind: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+    { kind: 'slack-token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/ },
+    { kind: 'stripe-key', regex: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/ },
+    { kind: 'google-api-key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/ }
+  ];
+  
+  // Large pastes are only sampled to keep the classifier cheap
+  const MAX_CLASSIFY_LENGTH = 20000;
+  
+  // User-defined patterns from the popup, kept in sync with storage
+  let customPatterns = [];
+  
+  // Session salt from the background, fetched on first use
+  let hashSaltPromise = null;
+  
+  // Field that last received a paste, so the toast can sit next to it
+  let lastPasteTarget = null;
+  
+  // Opt-in countdown toast: { host, text, timer, deadline } while shown
+  let toast = null;
+  const TOAST_WIDTH = 260;
+  
   // Determine if an element is a password or passcode field
   // Narrow and explicit to avoid false positives (e.g., email/chat inputs)
   function isPasswordField(el) {
     try {
       if (!el || !(el instanceof Element)) return false;
 
-      // Only consider actual input controls, not generic contenteditable/textarea
+      // Rich editors only count when the editing host is deliberately masked
+      if (el instanceof HTMLElement && el.isContentEditable) {
+        return isMasked(getEditingHost(el));
+      }
+
+      // Otherwise only consider actual input controls, not textareas
       const input = el.closest && el.closest('input');
       if (!input || !(input instanceof HTMLInputElement)) return false;
 
@@ -34,8 +66,7 @@
 
       // Accept masked inputs that deliberately hide characters
       // Some UIs use CSS masking for passcodes; keep this but avoid broad heuristics
-      const css = getComputedStyle(input).getPropertyValue('-webkit-text-security');
-      if (css && css.trim().toLowerCase() !== 'none') return true;
+      if (isMasked(input)) return true;
 
       // Do NOT infer from name/id text — too many false positives
       return false;
@@ -44,26 +75,204 @@
     }
   }
   
-  function getPasteTarget(event) {
+  function isMasked(el) {
+    const css = getComputedStyle(el).getPropertyValue('-webkit-text-security');
+    return Boolean(css) && css.trim().toLowerCase() !== 'none';
+  }
+  
+  // Outermost contenteditable ancestor, which is where editors put their styling
+  function getEditingHost(el) {
+    let host = el;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+  
+  // Shadow root of an element, including closed roots that content scripts may open
+  function getShadowRoot(el) {
+    if (el.shadowRoot) return el.shadowRoot;
+    try {
+      if (chrome.dom && chrome.dom.openOrClosedShadowRoot) {
+        return chrome.dom.openOrClosedShadowRoot(el) || null;
+      }
+      // Firefox exposes closed roots to content scripts on the element itself
+      if (el.openOrClosedShadowRoot) return el.openOrClosedShadowRoot;
+    } catch (_) {
+      // Not a shadow host
+    }
+    return null;
+  }
+  
+  // Events from inside a closed shadow root are retargeted to its host. Follow
+  // focus down through nested shadow roots to the element that has it.
+  function getDeepTarget(el) {
+    let current = el;
+    for (let depth = 0; current instanceof Element && depth < 32; depth++) {
+      const root = getShadowRoot(current);
+      if (!root || !root.activeElement) break;
+      current = root.activeElement;
+    }
+    return current;
+  }
+  
+  // Serialized origin of this frame; about:blank frames report their creator's
+  function getFrameOrigin() {
+    return window.origin && window.origin !== 'null' ? window.origin : window.location.origin;
+  }
+  
+  function compilePatterns(sources) {
+    if (!Array.isArray(sources)) return [];
+    const compiled = [];
+    sources.forEach((source) => {
+      try {
+        compiled.push(new RegExp(source));
+      } catch (_) {
+        // Skip invalid patterns
+      }
+    });
+    return compiled;
+  }
+  
+  function loadCustomPatterns() {
+    try {
+      chrome.storage.sync.get('sensitivePatterns', (result) => {
+        if (chrome.runtime.lastError || !result) return;
+        customPatterns = compilePatterns(result.sensitivePatterns);
+      });
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'sync' && changes.sensitivePatterns) {
+          customPatterns = compilePatterns(changes.sensitivePatterns.newValue);
+        }
+      });
+    } catch (_) {
+      // Storage unavailable; built-in patterns still apply
+    }
+  }
+  
+  function passesLuhn(digits) {
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let d = digits.charCodeAt(i) - 48;
+      if (double) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+      double = !double;
+    }
+    return sum % 10 === 0;
+  }
+  
+  function containsCardNumber(text) {
+    const candidates = text.match(/\b\d(?:[ -]?\d){12,18}\b/g) || [];
+    return candidates.some((candidate) => {
+      const digits = candidate.replace(/[ -]/g, '');
+      return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+    });
+  }
+  
+  function shannonEntropy(text) {
+    const counts = {};
+    for (const ch of text) counts[ch] = (counts[ch] || 0) + 1;
+    let entropy = 0;
+    Object.keys(counts).forEach((ch) => {
+      const p = counts[ch] / text.length;
+      entropy -= p * Math.log2(p);
+    });
+    return entropy;
+  }
+  
+  // A single random-looking token (mixed letters and digits, high entropy),
+  // e.g. an API key without a recognisable prefix. URLs and prose are excluded.
+  function looksLikeRandomToken(text) {
+    const token = text.trim();
+    if (token.length < 20 || token.length > 200 || /\s/.test(token)) return false;
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(token)) return false;
+    if (!/[A-Za-z]/.test(token) || !/\d/.test(token)) return false;
+    return shannonEntropy(token) >= 4;
+  }
+  
+  // Returns the kind of sensitive content found in text, or null
+  function classifySensitiveText(text) {
+    try {
+      const sample = text.length > MAX_CLASSIFY_LENGTH ? text.slice(0, MAX_CLASSIFY_LENGTH) : text;
+      const builtin = SENSITIVE_PATTERNS.find((pattern) => pattern.regex.test(sample));
+      if (builtin) return builtin.kind;
+      if (customPatterns.some((regex) => regex.test(sample))) return 'custom';
+      if (containsCardNumber(sample)) return 'card-number';
+      if (looksLikeRandomToken(sample)) return 'high-entropy';
+      return null;
+    } catch (_) {
+      return null;
+    }
+  }
+  
+  function getHashSalt() {
+    if (hashSaltPromise) return hashSaltPromise;
+    hashSaltPromise = new Promise((resolve) => {
+      try {
+        chrome.runtime.sendMessage({ type: 'GET_HASH_SALT' }, (response) => {
+          if (chrome.runtime.lastError || !response || !response.success) {
+            hashSaltPromise = null;
+            resolve(null);
+            return;
+          }
+          resolve(response.salt);
+        });
+      } catch (_) {
+        hashSaltPromise = null;
+        resolve(null);
+      }
+    });
+    return hashSaltPromise;
+  }
+  
+  // Salted SHA-256 of the text so the background can later tell whether the
+  // clipboard still holds it. Resolves to null if hashing is unavailable
+  // (e.g. crypto.subtle on insecure pages), which means "clear regardless".
+  async function hashClipboardText(text) {
+    try {
+      if (!window.crypto || !crypto.subtle) return null;
+      const salt = await getHashSalt();
+      if (!salt) return null;
+      return await clipboardUtils.hashText(salt, text);
+    } catch (_) {
+      return null;
+    }
+  }
+  
+  function getEventTarget(event) {
+    let target = null;
     if (event && typeof event.composedPath === 'function') {
       const path = event.composedPath();
-      if (Array.isArray(path) && path.length > 0) return path[0];
+      if (Array.isArray(path) && path.length > 0) target = path[0];
     }
-    return (event && event.target) || document.activeElement || null;
+    target = target || (event && event.target) || document.activeElement || null;
+    // Pastes into rich editors can target a text node
+    if (target && target.nodeType === Node.TEXT_NODE) target = target.parentElement;
+    return getDeepTarget(target);
   }
   
   function setupListeners() {
     if (listenersSetup) return;
     listenersSetup = true;
     
-    // Listen for copy events
+    // Listen for paste events
     document.addEventListener('paste', handlePasteEvent, true);
     
+    // Listen for copy/cut events
+    document.addEventListener('copy', handleCopyEvent, true);
+    document.addEventListener('cut', handleCopyEvent, true);
+    
     // Listen for context menu copy/paste
     document.addEventListener('contextmenu', handleContextMenu, true);
     
     // Test extension context on startup
     testExtensionContext();
+    
+    loadCustomPatterns();
   }
   
   function testExtensionContext() {
@@ -81,15 +290,23 @@
   
   function handlePasteEvent(event) {
     try {
-      const target = getPasteTarget(event);
+      const target = getEventTarget(event);
       const isPwd = isPasswordField(target);
       // Prefer reading text from the event clipboard data
       const text = (event && event.clipboardData)
         ? (event.clipboardData.getData && event.clipboardData.getData('text')) || ''
         : '';
+      const types = clipboardUtils.getClipboardTypes(event && event.clipboardData) || [];
 
       if (typeof text === 'string' && text.trim() !== '') {
-        notifyPasteEvent(isPwd);
+        lastPasteTarget = target;
+        const sensitiveKind = classifySensitiveText(text);
+        hashClipboardText(text).then((contentHash) => notifyPasteEvent(isPwd, sensitiveKind, contentHash, types));
+      } else if (types.some((type) => type !== 'text/plain')) {
+        // Images (e.g. a QR code screenshot), HTML or files with no text to
+        // hash; the clear goes ahead whatever the clipboard holds by then
+        lastPasteTarget = target;
+        notifyPasteEvent(isPwd, null, null, types);
       } else {
         // Blank/whitespace-only paste; do not start countdown
       }
@@ -98,6 +315,51 @@
     }
   }
   
+  // Describe where the copied selection lives without reading it out of the page
+  function getSelectionSource(target) {
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) return 'input';
+    if (target instanceof HTMLElement && target.isContentEditable) return 'editable';
+    return 'page';
+  }
+  
+  function getSelectedText(target) {
+    try {
+      // Inputs and textareas keep their selection outside window.getSelection()
+      if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement) {
+        const start = target.selectionStart;
+        const end = target.selectionEnd;
+        if (typeof start === 'number' && typeof end === 'number') {
+          return target.value.slice(start, end);
+        }
+      }
+      const selection = window.getSelection && window.getSelection();
+      return selection ? selection.toString() : '';
+    } catch (_) {
+      return '';
+    }
+  }
+  
+  function handleCopyEvent(event) {
+    try {
+      const target = getEventTarget(event);
+      const text = getSelectedText(target);
+
+      if (typeof text === 'string' && text.trim() !== '') {
+        const source = getSelectionSource(target);
+        const isPwd = isPasswordField(target);
+        const sensitiveKind = classifySensitiveText(text);
+        // Page selections may not serialize to the clipboard verbatim, so only
+        // input selections are hashed; the rest are cleared unconditionally
+        const hashed = source === 'input' ? hashClipboardText(text) : Promise.resolve(null);
+        hashed.then((contentHash) => notifyCopyEvent(event.type, source, isPwd, sensitiveKind, contentHash));
+      } else {
+        // Nothing selected; do not start countdown
+      }
+    } catch (e) {
+      // Do nothing on failure to read selection
+    }
+  }
+  
   function handleContextMenu(event) {
     // Detect right-click context menu
     setTimeout(() => {
@@ -113,7 +375,7 @@
     }, 100);
   }
   
-  function notifyPasteEvent(isPasswordFieldPaste = false) {
+  function notifyPasteEvent(isPasswordFieldPaste = false, sensitiveKind = null, contentHash = null, contentTypes = []) {
     if (!extensionContextValid) {
       console.log('[Copy, Paste, Forget!] Skipping paste event - extension context invalid');
       return;
@@ -122,7 +384,31 @@
     sendMessageSafely({
       type: 'PASTE_DETECTED',
       timestamp: Date.now(),
-      isPassword: Boolean(isPasswordFieldPaste)
+      origin: getFrameOrigin(),
+      isPassword: Boolean(isPasswordFieldPaste),
+      isSensitive: Boolean(sensitiveKind),
+      sensitiveKind,
+      contentHash,
+      contentTypes
+    });
+  }
+  
+  function notifyCopyEvent(action, source, isPasswordFieldCopy = false, sensitiveKind = null, contentHash = null) {
+    if (!extensionContextValid) {
+      console.log('[Copy, Paste, Forget!] Skipping copy event - extension context invalid');
+      return;
+    }
+
+    sendMessageSafely({
+      type: 'COPY_DETECTED',
+      timestamp: Date.now(),
+      origin: getFrameOrigin(),
+      action,
+      source,
+      isPassword: Boolean(isPasswordFieldCopy),
+      isSensitive: Boolean(sensitiveKind),
+      sensitiveKind,
+      contentHash
     });
   }
   
@@ -171,47 +457,181 @@
     }
   }
   
+  // The toast lives in a closed shadow root so the page can neither style nor
+  // script it. Styles are set through the CSSOM, which page CSPs do not block
+  // the way they block <style> elements and style attributes.
+  function setStyles(el, styles) {
+    Object.keys(styles).forEach((name) => el.style.setProperty(name, styles[name], 'important'));
+  }
+  
+  function createToastButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    setStyles(button, {
+      'margin-inline-start': '8px',
+      'padding': '4px 10px',
+      'border': '1px solid #334155',
+      'border-radius': '4px',
+      'background': '#111827',
+      'color': '#e5e7eb',
+      'font': '12px system-ui, sans-serif',
+      'cursor': 'pointer',
+    });
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+  
+  function createPageToast() {
+    const host = document.createElement('cpf-toast');
+    setStyles(host, {
+      'all': 'initial',
+      'position': 'fixed',
+      'z-index': '2147483647',
+      'display': 'block',
+    });
+    const root = host.attachShadow({ mode: 'closed' });
+    const box = document.createElement('div');
+    box.setAttribute('role', 'status');
+    // Follows the extension's language, not the page's
+    box.lang = chrome.i18n.getMessage('languageTag');
+    box.dir = chrome.i18n.getMessage('textDirection') === 'rtl' ? 'rtl' : 'ltr';
+    setStyles(box, {
+      'display': 'flex',
+      'align-items': 'center',
+      'box-sizing': 'border-box',
+      'max-width': `${TOAST_WIDTH}px`,
+      'padding': '8px 10px',
+      'border-inline-start': '4px solid #ff9800',
+      'border-radius': '6px',
+      'background': '#1a1e26',
+      'color': '#e5e7eb',
+      'font': '13px system-ui, sans-serif',
+      'box-shadow': '0 4px 12px rgba(0, 0, 0, 0.35)',
+    });
+    const text = document.createElement('span');
+    setStyles(text, { 'flex': '1' });
+    const keep = createToastButton(chrome.i18n.getMessage('keep'), () => {
+      removePageToast();
+      sendMessageSafely({ type: 'CANCEL_PENDING_CLEAR' });
+    });
+    const clear = createToastButton(chrome.i18n.getMessage('toastClear'), () => {
+      removePageToast();
+      sendMessageSafely({ type: 'CLEAR_CLIPBOARD_NOW' });
+    });
+    box.append(text, keep, clear);
+    root.appendChild(box);
+    (document.body || document.documentElement).appendChild(host);
+    return { host, text, timer: null, deadline: 0 };
+  }
+  
+  // Just below the pasted field, kept inside the viewport; bottom right if
+  // the field is gone
+  function positionPageToast(host) {
+    const anchor = lastPasteTarget && lastPasteTarget.isConnected ? lastPasteTarget.getBoundingClientRect() : null;
+    const maxTop = Math.max(0, window.innerHeight - 48);
+    const maxLeft = Math.max(0, window.innerWidth - TOAST_WIDTH - 8);
+    const top = anchor ? Math.min(anchor.bottom + 6, maxTop) : maxTop;
+    const left = anchor ? Math.min(Math.max(8, anchor.left), maxLeft) : maxLeft;
+    setStyles(host, { 'top': `${Math.round(top)}px`, 'left': `${Math.round(left)}px` });
+  }
+  
+  function renderPageToast() {
+    if (!toast) return;
+    const seconds = Math.max(0, Math.ceil((toast.deadline - Date.now()) / 1000));
+    toast.text.textContent = chrome.i18n.getMessage('toastClearsIn', String(seconds));
+  }
+  
+  // Called again with a new deadline when the countdown is extended
+  function showPageToast(deadline) {
+    if (typeof deadline !== 'number') return;
+    if (!toast) {
+      toast = createPageToast();
+      positionPageToast(toast.host);
+    }
+    toast.deadline = deadline;
+    renderPageToast();
+    if (!toast.timer) toast.timer = setInterval(renderPageToast, 250);
+  }
+  
+  function removePageToast() {
+    if (!toast) return;
+    clearInterval(toast.timer);
+    toast.host.remove();
+    toast = null;
+  }
+  
   // Listen for messages from background script (for clipboard clearing)
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'SHOW_PAGE_TOAST') {
+      showPageToast(message.deadline);
+      sendResponse({ success: true });
+      return;
+    }
+    if (message.type === 'HIDE_PAGE_TOAST') {
+      removePageToast();
+      sendResponse({ success: true });
+      return;
+    }
     if (message.type === 'CLEAR_CLIPBOARD_REQUEST') {
-      try {
-        clearClipboardInContent();
-        sendResponse({ success: true });
-      } 
-      catch (error) {
-        console.log('[Copy, Paste, Forget!] Error clearing clipboard in content script:', error);
-        sendResponse({ success: false, error: error.message });
-      }
+      // Respond only once the write has actually settled
+      clearClipboardInContent()
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => {
+          console.log('[Copy, Paste, Forget!] Error clearing clipboard in content script:', error);
+          sendResponse({ success: false, error: error.message });
+        });
     }
     return true; // Keep message channel open
   });
   
-  function clearClipboardInContent() {
+  // Resolves once the clipboard was overwritten; rejects if every method failed
+  async function clearClipboardInContent() {
+    let modernError = null;
+    
+    // One empty item replaces every format, not just text
+    if (navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem === 'function') {
+      try {
+        await navigator.clipboard.write([new ClipboardItem({ 'text/plain': new Blob([''], { type: 'text/plain' }) })]);
+        return;
+      } 
+      catch (err) {
+        console.log('[Copy, Paste, Forget!] Content script clipboard item write failed:', err);
+        modernError = err;
+      }
+    }
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      try {
+        await navigator.clipboard.writeText('');
+        return;
+      } 
+      catch (err) {
+        console.log('[Copy, Paste, Forget!] Content script clipboard clear failed:', err);
+        modernError = err;
+      }
+    }
+    
+    // Fallback method
     try {
+      const textarea = document.createElement('textarea');
+      textarea.value = ' ';
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      textarea.style.left = '-9999px';
+      document.body.appendChild(textarea);
       
-      if (navigator.clipboard && navigator.clipboard.writeText) {
-        navigator.clipboard.writeText("").then(() => {
-        }).catch(err => {
-          console.log('[Copy, Paste, Forget!] Content script clipboard clear failed:', err);
-        });
-      } 
-      else {
-        // Fallback method
-        const textarea = document.createElement('textarea');
-        textarea.value = ' ';
-        textarea.style.position = 'fixed';
-        textarea.style.opacity = '0';
-        textarea.style.left = '-9999px';
-        document.body.appendChild(textarea);
-        
-        textarea.select();
-        textarea.setSelectionRange(0, textarea.value.length);
-        
-        const success = document.execCommand('copy');
-        document.body.removeChild(textarea);
-        
-        if (success) {
-        }
+      textarea.select();
+      textarea.setSelectionRange(0, textarea.value.length);
+      
+      const success = document.execCommand('copy');
+      document.body.removeChild(textarea);
+      
+      if (!success) {
+        throw modernError || new Error('execCommand copy failed');
       }
     } 
     catch (error) {
@@ -0,0 +1,46 @@
+// Localization helpers shared by the background and the extension pages.
+// Strings live in _locales/<locale>/messages.json. Pages keep their English
+// text in the markup and name the message to use with data-i18n attributes.
+
+(function() {
+  'use strict';
+
+  const root = typeof globalThis !== 'undefined' ? globalThis : self;
+
+  if (root.i18n) return;
+
+  // data-i18n-* attributes, mapped to the attribute each one fills in
+  const ATTRIBUTES = {
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-title': 'title',
+    'data-i18n-aria-label': 'aria-label',
+  };
+
+  // A missing message shows its key rather than an empty string
+  function t(key, substitutions) {
+    const message = chrome.i18n.getMessage(key, substitutions);
+    return message || key;
+  }
+
+  // Language and direction come from the bundle in use rather than the
+  // browser's UI language: a locale with no translation yet falls back to
+  // English and must stay left to right
+  function getDirection() {
+    return t('textDirection') === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  function localizePage(doc = document) {
+    doc.documentElement.lang = t('languageTag');
+    doc.documentElement.dir = getDirection();
+    doc.querySelectorAll('[data-i18n]').forEach((element) => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    Object.keys(ATTRIBUTES).forEach((attribute) => {
+      doc.querySelectorAll(`[${attribute}]`).forEach((element) => {
+        element.setAttribute(ATTRIBUTES[attribute], t(element.getAttribute(attribute)));
+      });
+    });
+  }
+
+  root.i18n = { t, getDirection, localizePage };
+})();
@@ -5,6 +5,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
     return true;
   }
+  if (message && message.type === 'OFFSCREEN_HASH_CLIPBOARD') {
+    readClipboard()
+      .then(({ text }) => clipboardUtils.hashText(message.salt, text))
+      .then((hash) => sendResponse({ success: true, hash }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message }));
+    return true; // async
+  }
+  if (message && message.type === 'OFFSCREEN_CHECK_CLIPBOARD_EMPTY') {
+    // Only the verdict and the format names leave this document, never the
+    // clipboard text. The execCommand fallback leaves a single space, which
+    // counts as empty.
+    readClipboard()
+      .then(({ text, types }) => sendResponse({
+        success: true,
+        empty: text.trim() === '' && types.every((type) => type === 'text/plain'),
+        types,
+      }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message }));
+    return true; // async
+  }
+  if (message && message.type === 'OFFSCREEN_CLIPBOARD_TYPES') {
+    readClipboard()
+      .then(({ types }) => sendResponse({ success: true, types }))
+      .catch((e) => sendResponse({ success: false, error: e && e.message }));
+    return true; // async
+  }
   if (message && message.type === 'OFFSCREEN_CLEAR_CLIPBOARD') {
     clearClipboard()
       .then(() => sendResponse({ success: true }))
@@ -14,7 +40,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 async function clearClipboard() {
-  // Try modern API first
+  // An empty item replaces every format on the clipboard, not just text
+  if (navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem === 'function') {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({ 'text/plain': new Blob([''], { type: 'text/plain' }) })]);
+      return;
+    } 
+    catch (e) {
+      // Fall back
+    }
+  }
+
+  // Then text only
   if (navigator.clipboard && navigator.clipboard.writeText) {
     try {
       await navigator.clipboard.writeText('');
@@ -59,6 +96,38 @@ async function clearClipboard() {
   });
 }
 
+// Read the clipboard by pasting into a scratch textarea (needs clipboardRead).
+// The paste event lists every format present, so images, HTML and files are
+// seen even though only text lands in the textarea. Resolves to { text, types }.
+function readClipboard() {
+  return new Promise((resolve, reject) => {
+    let types = null;
+    const onPaste = (e) => {
+      types = clipboardUtils.getClipboardTypes(e.clipboardData);
+    };
+    try {
+      const textarea = document.createElement('textarea');
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      textarea.style.left = '-9999px';
+      document.body.appendChild(textarea);
+      textarea.focus();
+      document.addEventListener('paste', onPaste, true);
+      const ok = document.execCommand('paste');
+      document.removeEventListener('paste', onPaste, true);
+      const text = textarea.value;
+      document.body.removeChild(textarea);
+      if (ok) {
+        resolve({ text, types: types || (text ? ['text/plain'] : []) });
+      } else {
+        reject(new Error('execCommand paste failed'));
+      }
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
 function setClipboardEmptyViaCopyEvent() {
   return new Promise((resolve, reject) => {
     const handler = (e) => {
@@ -79,12 +148,15 @@ function setClipboardEmptyViaCopyEvent() {
   });
 }
 
-// If opened as a regular tab (fallback), clear immediately then close
-(async () => {
-  try {
-    await clearClipboard();
-  } 
-  catch (_) {}
-  // Attempt to close if this is a visible tab
-  try { window.close(); } catch (_) {}
-})();
+// If opened as a regular tab (fallback), clear immediately then close.
+// The offscreen document itself is created without #clear and waits for messages.
+if (location.hash === '#clear') {
+  (async () => {
+    try {
+      await clearClipboard();
+    } 
+    catch (_) {}
+    // Attempt to close if this is a visible tab
+    try { window.close(); } catch (_) {}
+  })();
+}
@@ -0,0 +1,457 @@
+document.addEventListener('DOMContentLoaded', async function() {
+  const { t } = i18n;
+  const { methodLabel, showStatus, sendBackgroundMessage, downloadFile, debounce } = pageUtils;
+  i18n.localizePage();
+
+  // Controls that save a single setting, keyed by the storage key in their
+  // data-setting attribute
+  const boundControls = {};
+  document.querySelectorAll('[data-setting]').forEach((control) => {
+    boundControls[control.dataset.setting] = control;
+  });
+  const statusDiv = document.getElementById('status');
+  const patternsInput = document.getElementById('patternsInput');
+  const patternErrors = document.getElementById('patternErrors');
+  const savePatternsBtn = document.getElementById('savePatternsBtn');
+  const patternSample = document.getElementById('patternSample');
+  const patternResult = document.getElementById('patternResult');
+  const newRuleHost = document.getElementById('newRuleHost');
+  const newRuleMode = document.getElementById('newRuleMode');
+  const newRuleInterval = document.getElementById('newRuleInterval');
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  const siteRulesTable = document.getElementById('siteRulesTable');
+  const siteRulesBody = document.getElementById('siteRulesBody');
+  const siteRulesEmpty = document.getElementById('siteRulesEmpty');
+  const diagnosticsList = document.getElementById('diagnosticsList');
+  const testClearBtn = document.getElementById('testClearBtn');
+  const downloadReportBtn = document.getElementById('downloadReportBtn');
+  const testClearResult = document.getElementById('testClearResult');
+  // Status shown when a typed value is out of range
+  const INVALID_MESSAGES = {
+    clipboardInterval: 'statusInvalidInterval',
+    passwordClipboardInterval: 'statusInvalidPasswordInterval',
+    incognitoClipboardInterval: 'statusInvalidInterval',
+  };
+  const BROWSER_LABELS = {
+    firefox: t('optionsBrowserFirefox'),
+    chromium: t('optionsBrowserChromium'),
+  };
+  let siteRules = [];
+  let lockedFields = [];
+  let diagnostics = null;
+  let lastTestClear = null;
+
+  if (!statusDiv || !patternsInput || !patternErrors || !savePatternsBtn || !patternSample || !patternResult ||
+      !newRuleHost || !newRuleMode || !newRuleInterval || !addRuleBtn || !siteRulesTable || !siteRulesBody ||
+      !diagnosticsList || !testClearBtn || !downloadReportBtn || !testClearResult) {
+    console.error('Some required DOM elements not found');
+    return;
+  }
+
+  await loadCurrentSettings();
+  loadDiagnostics();
+
+  // Follow changes made in the popup, another window or a synced device
+  settingsStore.onChange((fields, area) => {
+    if (area === 'managed') loadCurrentSettings();
+    else renderSettings(fields);
+  });
+
+  // Event listeners
+  Object.entries(boundControls).forEach(([key, control]) => {
+    control.addEventListener('change', () => saveControl(key));
+    if (control.type === 'number') {
+      control.addEventListener('input', debounce(() => saveControl(key), 1000));
+    }
+  });
+  patternsInput.addEventListener('input', checkPatterns);
+  patternSample.addEventListener('input', testPatternSample);
+  savePatternsBtn.addEventListener('click', saveSensitivePatterns);
+  addRuleBtn.addEventListener('click', addSiteRule);
+  newRuleHost.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addSiteRule();
+  });
+  testClearBtn.addEventListener('click', runTestClear);
+  downloadReportBtn.addEventListener('click', downloadReport);
+
+  async function loadCurrentSettings() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'GET_SETTINGS' }, 'Timeout loading settings');
+      if (!response) {
+        console.error('No response received from background script');
+        showStatus(t('statusDefaultSettings'), 'error');
+        return;
+      }
+      // Grey out anything forced by enterprise policy
+      lockedFields = Array.isArray(response.locked) ? response.locked : [];
+      applyManagedLocks();
+      renderSettings(response);
+    }
+    catch (error) {
+      console.error('Error loading settings:', error);
+      showStatus(t('statusDefaultSettings'), 'error');
+    }
+  }
+
+  // Fills the controls from settings keyed by field. Also called with just the
+  // fields that changed; the control the user is typing in is left alone.
+  function renderSettings(values) {
+    const has = (field) => Object.prototype.hasOwnProperty.call(values, field);
+
+    settingsStore.SCHEMA.forEach((entry) => {
+      const control = boundControls[entry.key];
+      if (control && has(entry.field) && control !== document.activeElement) {
+        writeControl(control, values[entry.field]);
+      }
+    });
+
+    if (has('sensitivePatterns') && patternsInput !== document.activeElement) {
+      patternsInput.value = Array.isArray(values.sensitivePatterns) ? values.sensitivePatterns.join('\n') : '';
+      checkPatterns();
+    }
+    if (has('siteRules')) {
+      siteRules = Array.isArray(values.siteRules) ? values.siteRules : [];
+      renderSiteRules();
+    }
+  }
+
+  // Empty number fields stand for null ("use the normal interval")
+  function readControl(control) {
+    if (control.type === 'checkbox') return control.checked;
+    if (control.type === 'number') {
+      const raw = control.value.trim();
+      return raw === '' ? null : parseInt(raw);
+    }
+    return control.value;
+  }
+
+  function writeControl(control, value) {
+    if (control.type === 'checkbox') {
+      control.checked = Boolean(value);
+    } else {
+      control.value = value === null || value === undefined ? '' : value;
+    }
+  }
+
+  async function saveControl(key) {
+    const control = boundControls[key];
+    const value = readControl(control);
+
+    if (!settingsStore.isValid(key, value)) {
+      showStatus(t(INVALID_MESSAGES[key] || 'statusOptionError'), 'error');
+      return;
+    }
+
+    try {
+      await settingsStore.save(key, value);
+      showStatus(t('statusOptionSaved'), 'success', 1500);
+    }
+    catch (error) {
+      console.error(`Error saving ${key}:`, error);
+      showStatus(t('statusOptionError'), 'error');
+      if (control.type === 'checkbox') control.checked = !value; // revert on error
+    }
+  }
+
+  // Locks follow policy both ways, since an admin can also lift one while
+  // the page is open
+  function applyManagedLocks() {
+    Object.entries(boundControls).forEach(([key, control]) => {
+      setLocked(control, lockedFields.includes(settingsStore.LOCKS[key]));
+    });
+    const rulesLocked = lockedFields.includes('siteRules');
+    [newRuleHost, newRuleMode, newRuleInterval, addRuleBtn].forEach((control) => setLocked(control, rulesLocked));
+    renderSiteRules();
+
+    document.querySelectorAll('.section').forEach((section) => {
+      const locked = Boolean(section.querySelector('.managed'));
+      const note = section.querySelector('.managed-note');
+      if (locked && !note) {
+        const element = document.createElement('div');
+        element.className = 'managed-note';
+        element.textContent = t('managedNote');
+        section.querySelector('h2').after(element);
+      } else if (!locked && note) {
+        note.remove();
+      }
+    });
+  }
+
+  function setLocked(control, locked) {
+    control.disabled = locked;
+    (control.closest('.toggle-label') || control).classList.toggle('managed', locked);
+  }
+
+  function renderSiteRules() {
+    const locked = lockedFields.includes('siteRules');
+    siteRulesBody.textContent = '';
+    siteRulesTable.hidden = !siteRules.length;
+    siteRulesEmpty.hidden = Boolean(siteRules.length);
+
+    siteRules.forEach((rule) => {
+      const row = document.createElement('tr');
+      const hostCell = document.createElement('td');
+      const modeCell = document.createElement('td');
+      const intervalCell = document.createElement('td');
+      const removeCell = document.createElement('td');
+
+      hostCell.className = 'rule-host';
+      hostCell.textContent = rule.host;
+
+      // Same choices as the add form, already localized
+      const modeSelect = newRuleMode.cloneNode(true);
+      modeSelect.removeAttribute('id');
+      modeSelect.setAttribute('aria-label', t('optionsModeFor', rule.host));
+      modeSelect.value = rule.mode;
+
+      const intervalInput = newRuleInterval.cloneNode(true);
+      intervalInput.removeAttribute('id');
+      intervalInput.setAttribute('aria-label', t('optionsIntervalFor', rule.host));
+      intervalInput.value = rule.interval || '';
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'secondary-btn';
+      removeBtn.textContent = t('remove');
+
+      [modeSelect, intervalInput, removeBtn].forEach((control) => setLocked(control, locked));
+
+      const update = () => saveSiteRule(rule.host, modeSelect.value, intervalInput);
+      modeSelect.addEventListener('change', update);
+      intervalInput.addEventListener('change', update);
+      removeBtn.addEventListener('click', () => removeSiteRule(rule.host));
+
+      modeCell.appendChild(modeSelect);
+      intervalCell.appendChild(intervalInput);
+      removeCell.appendChild(removeBtn);
+      row.appendChild(hostCell);
+      row.appendChild(modeCell);
+      row.appendChild(intervalCell);
+      row.appendChild(removeCell);
+      siteRulesBody.appendChild(row);
+    });
+  }
+
+  async function addSiteRule() {
+    const host = settingsStore.normalizeHost(newRuleHost.value);
+    if (!host) {
+      showStatus(t('optionsInvalidHost'), 'error');
+      return;
+    }
+    if (await saveSiteRule(host, newRuleMode.value, newRuleInterval)) {
+      newRuleHost.value = '';
+      newRuleMode.value = 'default';
+      newRuleInterval.value = '';
+    }
+  }
+
+  // An empty interval means the rule uses the normal one
+  async function saveSiteRule(host, mode, intervalInput) {
+    const rawInterval = intervalInput.value.trim();
+    const interval = rawInterval === '' ? null : parseInt(rawInterval);
+    if (interval !== null && !settingsStore.isValid('clipboardInterval', interval)) {
+      showStatus(t('statusInvalidInterval'), 'error');
+      return false;
+    }
+
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'UPDATE_SITE_RULE',
+        rule: { host, mode, interval }
+      }, 'Timeout saving site rule');
+
+      if (response && response.success) {
+        siteRules = response.siteRules;
+        renderSiteRules();
+        showStatus(t('statusSiteRuleSaved'), 'success', 1500);
+        return true;
+      }
+      showStatus(t('statusSiteRuleError'), 'error');
+    }
+    catch (error) {
+      console.error('Error saving site rule:', error);
+      showStatus(t('statusSiteRuleError'), 'error');
+    }
+    return false;
+  }
+
+  async function removeSiteRule(host) {
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'REMOVE_SITE_RULE',
+        host
+      }, 'Timeout removing site rule');
+
+      if (response && response.success) {
+        siteRules = response.siteRules;
+        renderSiteRules();
+        showStatus(t('statusSiteRuleRemoved'), 'success', 1500);
+      } else {
+        showStatus(t('statusSiteRuleRemoveError'), 'error');
+      }
+    }
+    catch (error) {
+      console.error('Error removing site rule:', error);
+      showStatus(t('statusSiteRuleRemoveError'), 'error');
+    }
+  }
+
+  function readPatterns() {
+    return patternsInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+  }
+
+  // Lists lines that are not valid regular expressions; they cannot be saved
+  function checkPatterns() {
+    patternErrors.textContent = '';
+    const lines = patternsInput.value.split('\n');
+    let invalid = 0;
+    lines.forEach((line, index) => {
+      if (!line.trim() || settingsStore.isValidPattern(line)) return;
+      const item = document.createElement('li');
+      const source = document.createElement('code');
+      item.textContent = `${t('optionsPatternInvalid', String(index + 1))} `;
+      source.textContent = line.trim();
+      item.appendChild(source);
+      patternErrors.appendChild(item);
+      invalid++;
+    });
+    savePatternsBtn.disabled = invalid > 0;
+    testPatternSample();
+  }
+
+  // Tries the sample against the patterns as typed, before they are saved.
+  // Compiled the way the content script compiles them.
+  function testPatternSample() {
+    const sample = patternSample.value;
+    patternResult.classList.remove('match');
+    if (!sample) {
+      patternResult.textContent = '';
+      return;
+    }
+    const match = readPatterns().filter(settingsStore.isValidPattern).find((source) => new RegExp(source).test(sample));
+    patternResult.textContent = match ? t('optionsPatternMatch', match) : t('optionsPatternNoMatch');
+    patternResult.classList.toggle('match', Boolean(match));
+  }
+
+  async function saveSensitivePatterns() {
+    try {
+      const response = await settingsStore.save('sensitivePatterns', readPatterns());
+      patternsInput.value = response.sensitivePatterns.join('\n');
+      checkPatterns();
+      showStatus(t('statusPatternsSaved'), 'success', 1500);
+    }
+    catch (error) {
+      console.error('Error saving sensitive patterns:', error);
+      showStatus(t('statusPatternsError'), 'error');
+    }
+  }
+
+  async function loadDiagnostics() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'GET_DIAGNOSTICS' }, 'Timeout loading diagnostics');
+      if (response && response.success) {
+        diagnostics = response.diagnostics;
+        renderDiagnostics();
+      }
+    }
+    catch (error) {
+      console.error('Error loading diagnostics:', error);
+    }
+  }
+
+  function renderDiagnostics() {
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+    const { history, lastClear } = diagnostics;
+
+    let state = t('optionsStateIdle');
+    if (diagnostics.snoozedUntil > Date.now()) {
+      state = t('snoozedUntil', formatTime(diagnostics.snoozedUntil));
+    } else if (diagnostics.pending) {
+      state = t('optionsStatePending');
+    }
+
+    let lastClearText = t('optionsNone');
+    if (lastClear) {
+      const messages = { cleared: 'lastClearCleared', skipped: 'lastClearSkipped', failed: 'lastClearFailed' };
+      lastClearText = t(messages[lastClear.status] || 'lastClearCleared', formatTime(lastClear.timestamp));
+    }
+
+    const rows = [
+      ['optionsDiagVersion', [diagnostics.version]],
+      ['optionsDiagBrowser', [BROWSER_LABELS[diagnostics.browser] || diagnostics.browser]],
+      ['optionsDiagStrategies', [diagnostics.strategies
+        .filter((strategy) => strategy.available)
+        .map((strategy) => methodLabel(strategy.name))
+        .join(', ')]],
+      ['optionsDiagPolicy', [diagnostics.managedKeys.length ? diagnostics.managedKeys.join(', ') : t('optionsNone')]],
+      ['optionsDiagState', [state]],
+      ['optionsDiagLastClear', [lastClearText]],
+      ['optionsDiagHistory', [t('optionsHistoryCounts', [history.total, history.cleared, history.skipped, history.failed].map(String))]],
+      ['optionsDiagFailures', diagnostics.recentFailures.length
+        ? diagnostics.recentFailures.slice().reverse().map((failure) => `${formatTime(failure.timestamp)}: ${failure.error || t('historyFailed')}`)
+        : [t('optionsNone')]],
+    ];
+
+    diagnosticsList.textContent = '';
+    rows.forEach(([label, lines]) => {
+      const term = document.createElement('dt');
+      term.textContent = t(label);
+      diagnosticsList.appendChild(term);
+      const details = document.createElement('dd');
+      lines.forEach((line) => {
+        const element = document.createElement('div');
+        element.textContent = line;
+        details.appendChild(element);
+      });
+      diagnosticsList.appendChild(details);
+    });
+  }
+
+  // A real clear through the background, listing every strategy it tried
+  async function runTestClear() {
+    try {
+      testClearBtn.disabled = true;
+      const response = await sendBackgroundMessage({ type: 'CLEAR_CLIPBOARD_NOW' }, 'Timeout clearing clipboard', 15000);
+      lastTestClear = response;
+      renderAttempts(response);
+
+      if (response && response.success) {
+        const via = methodLabel(response.strategy);
+        showStatus(t(response.verified ? 'statusClearedVia' : 'statusClearedViaUnverified', via), 'success');
+      } else if (response && response.attempts) {
+        showStatus(t('statusClearFailed', String(response.error)), 'error', 6000);
+      } else {
+        showStatus((response && (response.message || response.error)) || t('statusClearError'), 'error');
+      }
+    }
+    catch (error) {
+      console.error('Error clearing clipboard:', error);
+      showStatus(t('statusClearError'), 'error');
+    }
+    finally {
+      testClearBtn.disabled = false;
+      loadDiagnostics();
+    }
+  }
+
+  function renderAttempts(response) {
+    const attempts = response && Array.isArray(response.attempts) ? response.attempts : [];
+    testClearResult.textContent = '';
+    testClearResult.hidden = !attempts.length;
+    attempts.forEach((attempt) => {
+      const item = document.createElement('li');
+      const label = methodLabel(attempt.strategy);
+      item.className = attempt.ok ? 'ok' : 'failed';
+      item.textContent = attempt.ok ? t('optionsAttemptOk', label) : t('optionsAttemptFailed', [label, String(attempt.error)]);
+      testClearResult.appendChild(item);
+    });
+  }
+
+  function downloadReport() {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      diagnostics,
+      testClear: lastTestClear,
+    };
+    downloadFile('copy-paste-forget-diagnostics.json', 'application/json', JSON.stringify(report, null, 2));
+  }
+});
@@ -0,0 +1,77 @@
+// Helpers shared by the extension pages (popup and options). Loaded after
+// i18n.js, since labels are localized.
+
+(function() {
+  'use strict';
+
+  const root = typeof globalThis !== 'undefined' ? globalThis : self;
+
+  if (root.pageUtils) return;
+
+  // Readable name of a clearing strategy, or the strategy itself if unknown
+  function methodLabel(strategy) {
+    const { t } = i18n;
+    const labels = {
+      'active-tab': t('methodActiveTab'),
+      'other-tab': t('methodOtherTab'),
+      'content-script': t('methodContentScript'),
+      'background-page': t('methodBackgroundPage'),
+      offscreen: t('methodOffscreen'),
+      'ephemeral-window': t('methodEphemeralWindow'),
+    };
+    return labels[strategy] || strategy;
+  }
+
+  // Shows a message in the page's #status element for a while
+  function showStatus(message, type, timeout = 3000) {
+    const statusDiv = document.getElementById('status');
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+    statusDiv.style.display = 'block';
+
+    setTimeout(() => {
+      statusDiv.style.display = 'none';
+    }, timeout);
+  }
+
+  function sendBackgroundMessage(message, timeoutMessage, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        reject(new Error(timeoutMessage));
+      }, timeout);
+
+      chrome.runtime.sendMessage(message, (response) => {
+        clearTimeout(timeoutId);
+
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  function downloadFile(filename, type, content) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+
+  root.pageUtils = { methodLabel, showStatus, sendBackgroundMessage, downloadFile, debounce };
+})();
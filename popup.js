@@ -1,12 +1,97 @@
 document.addEventListener('DOMContentLoaded', async function() {
+  const { t } = i18n;
+  const { methodLabel, showStatus, sendBackgroundMessage, downloadFile, debounce } = pageUtils;
+  i18n.localizePage();
+  
   // Get DOM elements
   const intervalInput = document.getElementById('intervalInput');
+  const passwordIntervalInput = document.getElementById('passwordIntervalInput');
+  const incognitoIntervalInput = document.getElementById('incognitoIntervalInput');
+  const incognitoCloseToggle = document.getElementById('incognitoCloseToggle');
   const clearNowBtn = document.getElementById('clearNowBtn');
   const statusDiv = document.getElementById('status');
+  const lastClearDiv = document.getElementById('lastClear');
   const enableToggle = document.getElementById('enableToggle');
   const toggleText = document.getElementById('toggleText');
   const settingsContainer = document.getElementById('settingsContainer');
   const passwordOnlyToggle = document.getElementById('passwordOnlyToggle');
+  const triggerSelect = document.getElementById('triggerSelect');
+  const notifyBeforeToggle = document.getElementById('notifyBeforeToggle');
+  const notifyClearedToggle = document.getElementById('notifyClearedToggle');
+  const pageToastToggle = document.getElementById('pageToastToggle');
+  // Event-trigger toggles, keyed by the setting each one controls
+  const eventTriggerToggles = {
+    clearOnTabClose: document.getElementById('clearOnTabCloseToggle'),
+    clearOnNavigate: document.getElementById('clearOnNavigateToggle'),
+    clearOnBlur: document.getElementById('clearOnBlurToggle'),
+    clearOnIdle: document.getElementById('clearOnIdleToggle'),
+  };
+  const sensitiveToggle = document.getElementById('sensitiveToggle');
+  const patternsInput = document.getElementById('patternsInput');
+  const savePatternsBtn = document.getElementById('savePatternsBtn');
+  const siteRuleGroup = document.getElementById('siteRuleGroup');
+  const siteHostLabel = document.getElementById('siteHost');
+  const siteModeSelect = document.getElementById('siteModeSelect');
+  const siteIntervalInput = document.getElementById('siteIntervalInput');
+  const saveSiteRuleBtn = document.getElementById('saveSiteRuleBtn');
+  const removeSiteRuleBtn = document.getElementById('removeSiteRuleBtn');
+  const siteRulesList = document.getElementById('siteRulesList');
+  const siteRulesEmpty = document.getElementById('siteRulesEmpty');
+  const SITE_RULE_LABELS = {
+    default: t('ruleLabelDefault'),
+    always: t('ruleLabelAlways'),
+    password: t('ruleLabelPassword'),
+    never: t('ruleLabelNever'),
+  };
+  const TRIGGER_LABELS = {
+    paste: t('triggerPasteLabel'),
+    copy: t('triggerCopyLabel'),
+    manual: t('triggerManualLabel'),
+    shortcut: t('triggerShortcutLabel'),
+    'context-menu': t('triggerContextMenuLabel'),
+    notification: t('triggerNotificationLabel'),
+    'tab-closed': t('triggerTabClosedLabel'),
+    navigation: t('triggerNavigationLabel'),
+    'window-blur': t('triggerWindowBlurLabel'),
+    idle: t('triggerIdleLabel'),
+    'incognito-closed': t('triggerIncognitoClosedLabel'),
+  };
+  const HISTORY_FIELDS = ['timestamp', 'origin', 'trigger', 'isPassword', 'types', 'status', 'method', 'verified', 'error'];
+  let siteRules = [];
+  let historyEntries = [];
+  let lockedFields = [];
+  let activeHost = '';
+  const shortcutsList = document.getElementById('shortcutsList');
+  const editShortcutsBtn = document.getElementById('editShortcutsBtn');
+  const tabButtons = document.querySelectorAll('.tab-btn');
+  const historyList = document.getElementById('historyList');
+  const historyEmpty = document.getElementById('historyEmpty');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const purgeHistoryBtn = document.getElementById('purgeHistoryBtn');
+  const snoozeGroup = document.getElementById('snoozeGroup');
+  const snoozeButtons = document.getElementById('snoozeButtons');
+  const snoozeActive = document.getElementById('snoozeActive');
+  const snoozeText = document.getElementById('snoozeText');
+  const resumeBtn = document.getElementById('resumeBtn');
+  let snoozeTimer = null;
+  const countdownPanel = document.getElementById('countdownPanel');
+  const countdownRing = document.getElementById('countdownRing');
+  const countdownSeconds = document.getElementById('countdownSeconds');
+  const countdownTitle = document.getElementById('countdownTitle');
+  const countdownOrigin = document.getElementById('countdownOrigin');
+  const extendBtn = document.getElementById('extendBtn');
+  const cancelClearBtn = document.getElementById('cancelClearBtn');
+  const clearPendingNowBtn = document.getElementById('clearPendingNowBtn');
+  // Circumference of the ring's r=16 circle
+  const RING_LENGTH = 2 * Math.PI * 16;
+  let pendingState = null;
+  let countdownTicker = null;
+  let statePort = null;
+  const exportSettingsBtn = document.getElementById('exportSettingsBtn');
+  const importSettingsBtn = document.getElementById('importSettingsBtn');
+  const importSettingsInput = document.getElementById('importSettingsInput');
+  const openOptionsBtn = document.getElementById('openOptionsBtn');
   const coffeeButton = document.getElementById('coffee');
   const COFFEE_LICENSE_URL = 'https://edsonresearchsystems.gumroad.com/l/coffee'
   
@@ -16,21 +101,81 @@ document.addEventListener('DOMContentLoaded', async function() {
   }
 
   // Check if all required elements exist
-  if (!intervalInput || !clearNowBtn || !statusDiv || !enableToggle || !toggleText || !settingsContainer || !passwordOnlyToggle) {
+  if (!intervalInput || !clearNowBtn || !statusDiv || !enableToggle || !toggleText || !settingsContainer || !passwordOnlyToggle || !triggerSelect ||
+      !sensitiveToggle || !patternsInput || !savePatternsBtn ||
+      !notifyBeforeToggle || !notifyClearedToggle ||
+      !historyList || !exportJsonBtn || !exportCsvBtn || !purgeHistoryBtn ||
+      !siteRuleGroup || !siteModeSelect || !siteIntervalInput || !siteRulesList) {
     console.error('Some required DOM elements not found');
     return;
   }
   
   // Load current settings
+  activeHost = await getActiveTabHost();
   await loadCurrentSettings();
+  loadLastClear();
+  loadShortcuts();
+  watchPendingClear();
+  
+  // Follow changes made elsewhere (another window, a synced device, policy)
+  // while the popup is open
+  settingsStore.onChange((fields, area) => {
+    if (area === 'managed') loadCurrentSettings();
+    else renderSettings(fields);
+  });
   
   // Event listeners
   clearNowBtn.addEventListener('click', clearClipboardNow);
   enableToggle.addEventListener('change', toggleExtension);
-  passwordOnlyToggle.addEventListener('change', togglePasswordOnly);
+  passwordOnlyToggle.addEventListener('change', () => toggleOption('clearOnlyOnPasswordPaste', passwordOnlyToggle));
+  triggerSelect.addEventListener('change', updateClearTrigger);
+  sensitiveToggle.addEventListener('change', () => toggleOption('detectSensitiveContent', sensitiveToggle));
+  savePatternsBtn.addEventListener('click', saveSensitivePatterns);
+  notifyBeforeToggle.addEventListener('change', () => toggleOption('notifyBeforeClear', notifyBeforeToggle));
+  notifyClearedToggle.addEventListener('change', () => toggleOption('notifyOnClear', notifyClearedToggle));
+  if (pageToastToggle) {
+    pageToastToggle.addEventListener('change', () => toggleOption('showPageToast', pageToastToggle));
+  }
+  Object.entries(eventTriggerToggles).forEach(([key, toggle]) => {
+    if (toggle) toggle.addEventListener('change', () => toggleOption(key, toggle));
+  });
+  tabButtons.forEach((button) => button.addEventListener('click', () => showTab(button.dataset.tab)));
+  exportJsonBtn.addEventListener('click', exportHistoryJson);
+  exportCsvBtn.addEventListener('click', exportHistoryCsv);
+  purgeHistoryBtn.addEventListener('click', purgeHistory);
+  if (snoozeGroup && snoozeButtons && snoozeActive && snoozeText && resumeBtn) {
+    snoozeButtons.querySelectorAll('.snooze-btn').forEach((button) => {
+      button.addEventListener('click', () => snooze(Number(button.dataset.minutes)));
+    });
+    resumeBtn.addEventListener('click', resume);
+  }
+  if (exportSettingsBtn && importSettingsBtn && importSettingsInput) {
+    exportSettingsBtn.addEventListener('click', exportSettings);
+    importSettingsBtn.addEventListener('click', () => importSettingsInput.click());
+    importSettingsInput.addEventListener('change', importSettings);
+  }
+  if (countdownPanel && extendBtn && cancelClearBtn && clearPendingNowBtn) {
+    extendBtn.addEventListener('click', extendCountdown);
+    cancelClearBtn.addEventListener('click', cancelPendingClear);
+    clearPendingNowBtn.addEventListener('click', clearClipboardNow);
+  }
+  saveSiteRuleBtn.addEventListener('click', saveSiteRule);
+  if (openOptionsBtn) {
+    openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  }
+  removeSiteRuleBtn.addEventListener('click', () => removeSiteRule(activeHost));
   
   intervalInput.addEventListener('change', autoSaveInterval);
   intervalInput.addEventListener('input', debounce(autoSaveInterval, 1000));
+  if (passwordIntervalInput) {
+    passwordIntervalInput.addEventListener('change', autoSavePasswordInterval);
+    passwordIntervalInput.addEventListener('input', debounce(autoSavePasswordInterval, 1000));
+  }
+  if (incognitoIntervalInput && incognitoCloseToggle) {
+    incognitoIntervalInput.addEventListener('change', autoSaveIncognitoInterval);
+    incognitoIntervalInput.addEventListener('input', debounce(autoSaveIncognitoInterval, 1000));
+    incognitoCloseToggle.addEventListener('change', () => toggleOption('clearOnIncognitoClose', incognitoCloseToggle));
+  }
 
   async function loadCurrentSettings() {
     try {
@@ -53,17 +198,12 @@ document.addEventListener('DOMContentLoaded', async function() {
       });
       
       if (response) {
-        if (typeof response.interval === 'number') {
-          intervalInput.value = response.interval;
-        }
-        
-        const enabled = Boolean(response.enabled);
-        
-        enableToggle.checked = enabled;
-        updateUI(enabled);
+        // Grey out anything forced by enterprise policy
+        lockedFields = Array.isArray(response.locked) ? response.locked : [];
+        applyManagedLocks();
         
-        // Initialize password-only toggle
-        passwordOnlyToggle.checked = Boolean(response.clearOnlyOnPasswordPaste);
+        renderSettings(response);
+        renderSnooze(response.snoozedUntil);
         
       } 
       else {
@@ -78,41 +218,110 @@ document.addEventListener('DOMContentLoaded', async function() {
       enableToggle.checked = true;
       updateUI(true);
       intervalInput.value = 10;
-      showStatus('Using default settings - could not load saved settings', 'error');
+      showStatus(t('statusDefaultSettings'), 'error');
     }
   }
 
-  async function togglePasswordOnly() {
-    const value = passwordOnlyToggle.checked;
+  // Fills the controls from settings keyed by field. Also called with just the
+  // fields that changed, so anything missing is left alone, as is the control
+  // the user is typing in.
+  function renderSettings(values) {
+    const has = (field) => Object.prototype.hasOwnProperty.call(values, field);
+    const set = (element, property, value) => {
+      if (element && element !== document.activeElement) element[property] = value;
+    };
+    
+    if (has('interval') && typeof values.interval === 'number') {
+      set(intervalInput, 'value', values.interval);
+    }
+    if (has('passwordInterval')) {
+      set(passwordIntervalInput, 'value', typeof values.passwordInterval === 'number' ? values.passwordInterval : '');
+    }
+    if (has('incognitoInterval')) {
+      set(incognitoIntervalInput, 'value', typeof values.incognitoInterval === 'number' ? values.incognitoInterval : '');
+    }
+    if (has('clearOnIncognitoClose') && incognitoCloseToggle) {
+      incognitoCloseToggle.checked = values.clearOnIncognitoClose !== false;
+    }
+    if (has('enabled')) {
+      enableToggle.checked = Boolean(values.enabled);
+      updateUI(enableToggle.checked);
+    }
+    if (has('clearOnlyOnPasswordPaste')) passwordOnlyToggle.checked = Boolean(values.clearOnlyOnPasswordPaste);
+    
+    // Sensitive-content detection
+    if (has('detectSensitiveContent')) sensitiveToggle.checked = values.detectSensitiveContent !== false;
+    if (has('sensitivePatterns')) {
+      set(patternsInput, 'value', Array.isArray(values.sensitivePatterns) ? values.sensitivePatterns.join('\n') : '');
+    }
+    
+    // Notification toggles
+    if (has('notifyBeforeClear')) notifyBeforeToggle.checked = Boolean(values.notifyBeforeClear);
+    if (has('notifyOnClear')) notifyClearedToggle.checked = Boolean(values.notifyOnClear);
+    if (has('showPageToast') && pageToastToggle) pageToastToggle.checked = Boolean(values.showPageToast);
+    
+    // Event triggers
+    Object.entries(eventTriggerToggles).forEach(([key, toggle]) => {
+      if (toggle && has(key)) toggle.checked = Boolean(values[key]);
+    });
+    
+    if (has('clearTrigger')) triggerSelect.value = values.clearTrigger || 'paste';
+    
+    if (has('siteRules')) {
+      siteRules = Array.isArray(values.siteRules) ? values.siteRules : [];
+      renderSiteRules();
+    }
+  }
+  
+  // Boolean options, saved by storage key through the shared settings module
+  async function toggleOption(key, toggle) {
+    const value = toggle.checked;
     try {
-      const response = await new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error('Timeout saving option'));
-        }, 5000);
-        
-        chrome.runtime.sendMessage({
-          type: 'UPDATE_PASSWORD_ONLY',
-          value
-        }, (response) => {
-          clearTimeout(timeoutId);
-          
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(response);
-          }
-        });
-      });
+      await settingsStore.save(key, value);
+      showStatus(t('statusOptionSaved'), 'success', 1500);
+    } catch (error) {
+      console.error('Error updating option:', error);
+      showStatus(t('statusOptionError'), 'error');
+      toggle.checked = !value; // revert on error
+    }
+  }
+  
+  async function saveSensitivePatterns() {
+    const patterns = patternsInput.value.split('\n').map((line) => line.trim()).filter(Boolean);
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'UPDATE_SENSITIVE_PATTERNS',
+        patterns
+      }, 'Timeout saving patterns');
       
       if (response && response.success) {
-        showStatus('Option saved', 'success', 1500);
+        patternsInput.value = response.sensitivePatterns.join('\n');
+        showStatus(t('statusPatternsSaved'), 'success', 1500);
       } else {
-        showStatus('Error saving option', 'error');
+        showStatus((response && response.error) || t('statusPatternsError'), 'error');
       }
     } catch (error) {
-      console.error('Error updating password-only option:', error);
-      showStatus('Error saving option', 'error');
-      passwordOnlyToggle.checked = !value; // revert on error
+      console.error('Error saving sensitive patterns:', error);
+      showStatus(t('statusPatternsError'), 'error');
+    }
+  }
+  
+  async function updateClearTrigger() {
+    const value = triggerSelect.value;
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'UPDATE_CLEAR_TRIGGER',
+        value
+      }, 'Timeout saving option');
+      
+      if (response && response.success) {
+        showStatus(t('statusOptionSaved'), 'success', 1500);
+      } else {
+        showStatus(t('statusOptionError'), 'error');
+      }
+    } catch (error) {
+      console.error('Error updating clear trigger:', error);
+      showStatus(t('statusOptionError'), 'error');
     }
   }
   
@@ -146,25 +355,352 @@ document.addEventListener('DOMContentLoaded', async function() {
       //console.log('Toggle response received:', response);
       
       if (response && response.success) {
-        showStatus(enabled ? 'Extension Enabled' : 'Extension Disabled', 'success');
+        showStatus(t(enabled ? 'extensionEnabled' : 'extensionDisabled'), 'success');
       } 
       else {
         console.error('Toggle failed with response:', response);
         enableToggle.checked = !enabled;
         updateUI(!enabled);
-        showStatus('Failed to update extension state', 'error');
+        showStatus(t('statusToggleFailed'), 'error');
       }
     } 
     catch (error) {
       console.error('Error in toggleExtension:', error);
       enableToggle.checked = !enabled;
       updateUI(!enabled);
-      showStatus('Error: ' + error.message, 'error');
+      showStatus(t('statusError', error.message), 'error');
+    }
+  }
+  
+  function applyManagedLocks() {
+    const controls = {
+      enabled: [enableToggle],
+      interval: [intervalInput, passwordIntervalInput].filter(Boolean),
+      clearOnlyOnPasswordPaste: [passwordOnlyToggle],
+      siteRules: [siteModeSelect, siteIntervalInput, saveSiteRuleBtn, removeSiteRuleBtn],
+      incognito: [incognitoIntervalInput, incognitoCloseToggle].filter(Boolean),
+    };
+    Object.keys(controls).forEach((field) => {
+      if (!lockedFields.includes(field)) return;
+      controls[field].forEach((control) => {
+        control.disabled = true;
+        (control.closest('.toggle-label') || control).classList.add('managed');
+      });
+      const group = controls[field][0].closest('.setting-group');
+      if (group && !group.querySelector('.managed-note')) {
+        const note = document.createElement('div');
+        note.className = 'managed-note';
+        note.textContent = t('managedNote');
+        group.appendChild(note);
+      }
+    });
+  }
+  
+  function showTab(tabId) {
+    tabButtons.forEach((button) => {
+      const active = button.dataset.tab === tabId;
+      button.classList.toggle('active', active);
+      document.getElementById(button.dataset.tab).hidden = !active;
+    });
+    if (tabId === 'historyTab') {
+      loadHistory();
+    }
+  }
+  
+  async function loadHistory() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'GET_HISTORY' }, 'Timeout loading history');
+      historyEntries = response && response.success ? response.entries : [];
+    } 
+    catch (error) {
+      console.error('Error loading history:', error);
+      historyEntries = [];
+      showStatus(t('statusHistoryError'), 'error');
+    }
+    renderHistory();
+  }
+  
+  function renderHistory() {
+    historyList.textContent = '';
+    historyEmpty.style.display = historyEntries.length ? 'none' : 'block';
+    
+    // Newest first
+    historyEntries.slice().reverse().forEach((entry) => {
+      const item = document.createElement('li');
+      const info = document.createElement('span');
+      const origin = document.createElement('span');
+      const detail = document.createElement('span');
+      
+      origin.className = 'rule-host';
+      origin.textContent = entry.origin || t('noSite');
+      
+      const parts = [
+        new Date(entry.timestamp).toLocaleString(),
+        TRIGGER_LABELS[entry.trigger] || entry.trigger,
+      ];
+      if (entry.isPassword) parts.push(t('historyPassword'));
+      // Only worth showing when there was more than plain text
+      if (Array.isArray(entry.types) && entry.types.some((type) => type !== 'text/plain')) {
+        parts.push(entry.types.join(', '));
+      }
+      if (entry.status === 'cleared') {
+        const via = methodLabel(entry.method);
+        parts.push(t(entry.verified === false ? 'historyClearedViaUnverified' : 'historyClearedVia', via));
+      } else if (entry.status === 'skipped') {
+        parts.push(t('historySkipped'));
+      } else {
+        parts.push(entry.error ? t('historyFailedWith', entry.error) : t('historyFailed'));
+      }
+      detail.className = `rule-detail history-${entry.status}`;
+      detail.textContent = parts.join(' · ');
+      
+      info.appendChild(origin);
+      info.appendChild(detail);
+      item.appendChild(info);
+      historyList.appendChild(item);
+    });
+  }
+  
+  function exportHistoryJson() {
+    downloadFile('clear-history.json', 'application/json', JSON.stringify(historyEntries, null, 2));
+  }
+  
+  function exportHistoryCsv() {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(' ') : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = historyEntries.map((entry) => HISTORY_FIELDS.map((field) => {
+      return escape(field === 'timestamp' ? new Date(entry.timestamp).toISOString() : entry[field]);
+    }).join(','));
+    downloadFile('clear-history.csv', 'text/csv', [HISTORY_FIELDS.join(',')].concat(rows).join('\n'));
+  }
+  
+  async function exportSettings() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'EXPORT_SETTINGS' }, 'Timeout exporting settings');
+      if (response && response.success) {
+        downloadFile('copy-paste-forget-settings.json', 'application/json', JSON.stringify(response.profile, null, 2));
+      } else {
+        showStatus(t('statusExportError'), 'error');
+      }
+    } 
+    catch (error) {
+      console.error('Error exporting settings:', error);
+      showStatus(t('statusExportError'), 'error');
+    }
+  }
+  
+  async function importSettings() {
+    const file = importSettingsInput.files && importSettingsInput.files[0];
+    importSettingsInput.value = '';
+    if (!file) return;
+    try {
+      let profile;
+      try {
+        profile = JSON.parse(await file.text());
+      } 
+      catch (_) {
+        showStatus(t('statusInvalidJson'), 'error');
+        return;
+      }
+      const response = await sendBackgroundMessage({ type: 'IMPORT_SETTINGS', profile }, 'Timeout importing settings');
+      if (response && response.success) {
+        await loadCurrentSettings();
+        const skipped = response.skipped && response.skipped.length;
+        showStatus(skipped ? t('statusImportedSkipped', String(skipped)) : t('statusImported'), 'success');
+      } else {
+        showStatus((response && response.error) || t('statusImportError'), 'error');
+      }
+    } 
+    catch (error) {
+      console.error('Error importing settings:', error);
+      showStatus(t('statusImportError'), 'error');
+    }
+  }
+  
+  async function purgeHistory() {
+    if (!confirm(t('confirmPurgeHistory'))) return;
+    try {
+      const response = await sendBackgroundMessage({ type: 'PURGE_HISTORY' }, 'Timeout purging history');
+      if (response && response.success) {
+        historyEntries = [];
+        renderHistory();
+        showStatus(t('statusHistoryPurged'), 'success', 1500);
+      } else {
+        showStatus(t('statusPurgeError'), 'error');
+      }
+    } 
+    catch (error) {
+      console.error('Error purging history:', error);
+      showStatus(t('statusPurgeError'), 'error');
+    }
+  }
+  
+  async function loadShortcuts() {
+    if (!shortcutsList || !chrome.commands) return;
+    try {
+      const commands = await chrome.commands.getAll();
+      shortcutsList.textContent = '';
+      commands.filter((command) => command.description).forEach((command) => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        const keys = document.createElement('kbd');
+        label.textContent = command.description;
+        keys.textContent = command.shortcut || t('shortcutNotSet');
+        item.appendChild(label);
+        item.appendChild(keys);
+        shortcutsList.appendChild(item);
+      });
+    } 
+    catch (error) {
+      console.error('Error loading shortcuts:', error);
+    }
+    
+    if (editShortcutsBtn) {
+      editShortcutsBtn.onclick = () => {
+        // Firefox cannot open about:addons from a tab; it has its own API for this
+        if (compat.isFirefox && chrome.commands.openShortcutSettings) {
+          chrome.commands.openShortcutSettings();
+        } else {
+          chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+        }
+      };
+    }
+  }
+  
+  async function loadLastClear() {
+    if (!lastClearDiv) return;
+    try {
+      const response = await sendBackgroundMessage({ type: 'GET_LAST_CLEAR' }, 'Timeout loading clear status');
+      const lastClear = response && response.success ? response.lastClear : null;
+      if (!lastClear) return;
+      
+      const time = new Date(lastClear.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      if (lastClear.status === 'skipped') {
+        lastClearDiv.textContent = t('lastClearSkipped', time);
+      } else if (lastClear.status === 'failed') {
+        lastClearDiv.textContent = t('lastClearFailed', time);
+      } else {
+        lastClearDiv.textContent = t('lastClearCleared', time);
+      }
+      lastClearDiv.className = `last-clear ${lastClear.status}`;
+      lastClearDiv.style.display = 'block';
+    } 
+    catch (error) {
+      console.error('Error loading last clear:', error);
+    }
+  }
+  
+  async function getActiveTabHost() {
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const url = tabs && tabs[0] && tabs[0].url ? new URL(tabs[0].url) : null;
+      if (url && (url.protocol === 'http:' || url.protocol === 'https:')) {
+        return url.hostname;
+      }
+    } 
+    catch (error) {
+      console.error('Error reading active tab:', error);
+    }
+    return '';
+  }
+  
+  function renderSiteRules() {
+    // Editor for the active tab's site
+    if (activeHost) {
+      const current = siteRules.find((rule) => rule.host === activeHost);
+      siteHostLabel.textContent = activeHost;
+      siteModeSelect.value = current ? current.mode : 'default';
+      siteIntervalInput.value = current && current.interval ? current.interval : '';
+      removeSiteRuleBtn.disabled = !current || lockedFields.includes('siteRules');
+      siteRuleGroup.style.display = '';
+    } 
+    else {
+      siteRuleGroup.style.display = 'none';
+    }
+    
+    // Full list
+    siteRulesList.textContent = '';
+    siteRulesEmpty.style.display = siteRules.length ? 'none' : 'block';
+    siteRules.forEach((rule) => {
+      const item = document.createElement('li');
+      const info = document.createElement('span');
+      const host = document.createElement('span');
+      const detail = document.createElement('span');
+      const removeBtn = document.createElement('button');
+      
+      host.className = 'rule-host';
+      host.textContent = rule.host;
+      detail.className = 'rule-detail';
+      const label = SITE_RULE_LABELS[rule.mode] || rule.mode;
+      detail.textContent = rule.interval ? t('ruleWithInterval', [label, String(rule.interval)]) : label;
+      removeBtn.className = 'secondary-btn';
+      removeBtn.textContent = t('remove');
+      removeBtn.disabled = lockedFields.includes('siteRules');
+      removeBtn.addEventListener('click', () => removeSiteRule(rule.host));
+      
+      info.appendChild(host);
+      info.appendChild(detail);
+      item.appendChild(info);
+      item.appendChild(removeBtn);
+      siteRulesList.appendChild(item);
+    });
+  }
+  
+  async function saveSiteRule() {
+    if (!activeHost) return;
+    
+    const rawInterval = siteIntervalInput.value.trim();
+    const interval = rawInterval === '' ? null : parseInt(rawInterval);
+    if (interval !== null && (isNaN(interval) || interval < 1 || interval > 300)) {
+      showStatus(t('statusInvalidInterval'), 'error');
+      return;
+    }
+    
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'UPDATE_SITE_RULE',
+        rule: { host: activeHost, mode: siteModeSelect.value, interval }
+      }, 'Timeout saving site rule');
+      
+      if (response && response.success) {
+        siteRules = response.siteRules;
+        renderSiteRules();
+        showStatus(t('statusSiteRuleSaved'), 'success', 1500);
+      } else {
+        showStatus(t('statusSiteRuleError'), 'error');
+      }
+    } catch (error) {
+      console.error('Error saving site rule:', error);
+      showStatus(t('statusSiteRuleError'), 'error');
+    }
+  }
+  
+  async function removeSiteRule(host) {
+    if (!host) return;
+    
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'REMOVE_SITE_RULE',
+        host
+      }, 'Timeout removing site rule');
+      
+      if (response && response.success) {
+        siteRules = response.siteRules;
+        renderSiteRules();
+        showStatus(t('statusSiteRuleRemoved'), 'success', 1500);
+      } else {
+        showStatus(t('statusSiteRuleRemoveError'), 'error');
+      }
+    } catch (error) {
+      console.error('Error removing site rule:', error);
+      showStatus(t('statusSiteRuleRemoveError'), 'error');
     }
   }
   
   function updateUI(enabled) {
-    toggleText.textContent = enabled ? 'Extension Enabled' : 'Extension Disabled';
+    toggleText.textContent = t(enabled ? 'extensionEnabled' : 'extensionDisabled');
     if (enabled) {
       settingsContainer.classList.remove('disabled');
       clearNowBtn.disabled = false;
@@ -173,13 +709,149 @@ document.addEventListener('DOMContentLoaded', async function() {
       settingsContainer.classList.add('disabled');
       clearNowBtn.disabled = true;
     }
+    if (snoozeGroup) snoozeGroup.classList.toggle('disabled', !enabled);
+  }
+  
+  // Shows either the snooze choices or when clearing resumes
+  function renderSnooze(snoozedUntil) {
+    if (!snoozeGroup || !snoozeButtons || !snoozeActive || !snoozeText) return;
+    clearTimeout(snoozeTimer);
+    // Policy that pins the extension on also rules out snoozing it
+    snoozeGroup.hidden = lockedFields.includes('enabled');
+    const snoozed = typeof snoozedUntil === 'number' && snoozedUntil > Date.now();
+    snoozeButtons.hidden = snoozed;
+    snoozeActive.hidden = !snoozed;
+    if (snoozed) {
+      const time = new Date(snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      snoozeText.textContent = t('snoozedUntil', time);
+      snoozeTimer = setTimeout(() => renderSnooze(0), snoozedUntil - Date.now());
+    }
+  }
+  
+  async function snooze(minutes) {
+    try {
+      const response = await sendBackgroundMessage({ type: 'SNOOZE', minutes }, 'Timeout snoozing');
+      if (response && response.success) {
+        renderSnooze(response.snoozedUntil);
+        showStatus(t('statusSnoozed'), 'success', 1500);
+      } else {
+        showStatus((response && response.error) || t('statusSnoozeError'), 'error');
+      }
+    } 
+    catch (error) {
+      console.error('Error snoozing:', error);
+      showStatus(t('statusSnoozeError'), 'error');
+    }
+  }
+  
+  async function resume() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'RESUME' }, 'Timeout resuming');
+      if (response && response.success) {
+        renderSnooze(0);
+        showStatus(t('statusResumed'), 'success', 1500);
+      } else {
+        showStatus(t('statusResumeError'), 'error');
+      }
+    } 
+    catch (error) {
+      console.error('Error resuming:', error);
+      showStatus(t('statusResumeError'), 'error');
+    }
+  }
+  
+  // Initial state by message, then live pushes over a port for as long as the
+  // popup stays open
+  async function watchPendingClear() {
+    if (!countdownPanel) return;
+    await loadPendingClear();
+    try {
+      statePort = chrome.runtime.connect({ name: 'state' });
+      statePort.onMessage.addListener((state) => renderCountdown(state.pending));
+      statePort.onDisconnect.addListener(() => {
+        statePort = null;
+      });
+    } 
+    catch (error) {
+      console.error('Error connecting to background:', error);
+    }
+  }
+  
+  async function loadPendingClear() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'GET_STATE' }, 'Timeout loading state');
+      if (response && response.success) renderCountdown(response.state.pending);
+    } 
+    catch (error) {
+      console.error('Error loading state:', error);
+    }
+  }
+  
+  function renderCountdown(pending) {
+    pendingState = pending;
+    countdownPanel.hidden = !pending;
+    if (!pending) {
+      clearInterval(countdownTicker);
+      countdownTicker = null;
+      return;
+    }
+    const parts = [pending.origin || t('noSite'), TRIGGER_LABELS[pending.trigger] || pending.trigger];
+    if (pending.isPassword) parts.push(t('historyPassword'));
+    countdownOrigin.textContent = parts.join(' · ');
+    drawCountdown();
+    if (!countdownTicker) countdownTicker = setInterval(drawCountdown, 250);
+  }
+  
+  function drawCountdown() {
+    if (!pendingState) return;
+    const remaining = Math.max(0, pendingState.deadline - Date.now());
+    // Extending grows the whole ring rather than refilling it
+    const total = pendingState.startedAt ? pendingState.deadline - pendingState.startedAt : remaining;
+    const fraction = total > 0 ? remaining / total : 0;
+    countdownRing.style.strokeDasharray = String(RING_LENGTH);
+    countdownRing.style.strokeDashoffset = String(RING_LENGTH * (1 - fraction));
+    const seconds = Math.ceil(remaining / 1000);
+    countdownSeconds.textContent = String(seconds);
+    countdownTitle.textContent = seconds > 0 ? t('countdownClearingIn', String(seconds)) : t('countdownClearingNow');
+  }
+  
+  async function extendCountdown() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'EXTEND_COUNTDOWN', seconds: 30 }, 'Timeout extending countdown');
+      if (response && response.success) {
+        showStatus(t('statusExtended'), 'success', 1500);
+      } else {
+        showStatus((response && (response.message || response.error)) || t('statusExtendError'), 'error');
+      }
+      if (!statePort) await loadPendingClear();
+    } 
+    catch (error) {
+      console.error('Error extending countdown:', error);
+      showStatus(t('statusExtendError'), 'error');
+    }
+  }
+  
+  async function cancelPendingClear() {
+    try {
+      const response = await sendBackgroundMessage({ type: 'CANCEL_PENDING_CLEAR' }, 'Timeout cancelling clear');
+      if (response && response.success) {
+        showStatus(t('statusClearCancelled'), 'success', 1500);
+      } else {
+        showStatus((response && (response.message || response.error)) || t('statusCancelError'), 'error');
+      }
+      if (!statePort) await loadPendingClear();
+    } 
+    catch (error) {
+      console.error('Error cancelling clear:', error);
+      showStatus(t('statusCancelError'), 'error');
+    }
   }
   
   async function autoSaveInterval() {
     const interval = parseInt(intervalInput.value);
     
-    if (isNaN(interval) || interval < 1 || interval > 300) {
-      showStatus('Please enter a valid interval (1-300 seconds)', 'error');
+    if (!settingsStore.isValid('clipboardInterval', interval)) {
+      showStatus(t('statusInvalidInterval'), 'error');
       return;
     }
     
@@ -204,74 +876,96 @@ document.addEventListener('DOMContentLoaded', async function() {
       });
       
       if (response && response.success) {
-        showStatus('Settings auto-saved', 'success', 1500);
+        showStatus(t('statusSettingsSaved'), 'success', 1500);
       } else {
-        showStatus('Error saving settings', 'error');
+        showStatus(t('statusSettingsError'), 'error');
       }
     } catch (error) {
       console.error('Error saving settings:', error);
-      showStatus('Error saving settings', 'error');
+      showStatus(t('statusSettingsError'), 'error');
+    }
+  }
+  
+  // Empty means "same as the normal interval"; 0 means clear straight away
+  async function autoSavePasswordInterval() {
+    const raw = passwordIntervalInput.value.trim();
+    const value = raw === '' ? null : parseInt(raw);
+    
+    if (!settingsStore.isValid('passwordClipboardInterval', value)) {
+      showStatus(t('statusInvalidPasswordInterval'), 'error');
+      return;
+    }
+    
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'UPDATE_PASSWORD_INTERVAL',
+        value
+      }, 'Timeout saving settings');
+      
+      if (response && response.success) {
+        showStatus(t('statusSettingsSaved'), 'success', 1500);
+      } else {
+        showStatus(t('statusSettingsError'), 'error');
+      }
+    } catch (error) {
+      console.error('Error saving password interval:', error);
+      showStatus(t('statusSettingsError'), 'error');
+    }
+  }
+  
+  // Empty means private windows follow the normal intervals
+  async function autoSaveIncognitoInterval() {
+    const raw = incognitoIntervalInput.value.trim();
+    const value = raw === '' ? null : parseInt(raw);
+    
+    if (!settingsStore.isValid('incognitoClipboardInterval', value)) {
+      showStatus(t('statusInvalidInterval'), 'error');
+      return;
+    }
+    
+    try {
+      const response = await sendBackgroundMessage({
+        type: 'UPDATE_INCOGNITO',
+        interval: value
+      }, 'Timeout saving settings');
+      
+      if (response && response.success) {
+        showStatus(t('statusSettingsSaved'), 'success', 1500);
+      } else {
+        showStatus(t('statusSettingsError'), 'error');
+      }
+    } catch (error) {
+      console.error('Error saving incognito interval:', error);
+      showStatus(t('statusSettingsError'), 'error');
     }
   }
   
   async function clearClipboardNow() {
     try {
       clearNowBtn.disabled = true;
-      clearNowBtn.textContent = 'Clearing...';
+      clearNowBtn.textContent = t('clearingButton');
       
-      const response = await new Promise((resolve, reject) => {
-        const timeoutId = setTimeout(() => {
-          reject(new Error('Timeout clearing clipboard'));
-        }, 5000);
-        
-        chrome.runtime.sendMessage({
-          type: 'CLEAR_CLIPBOARD_NOW'
-        }, (response) => {
-          clearTimeout(timeoutId);
-          
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(response);
-          }
-        });
-      });
+      // The pipeline may walk several strategies
+      const response = await sendBackgroundMessage({ type: 'CLEAR_CLIPBOARD_NOW' }, 'Timeout clearing clipboard', 15000);
       
       if (response && response.success) {
-        showStatus('Clipboard cleared!', 'success');
+        const via = methodLabel(response.strategy);
+        showStatus(t(response.verified ? 'statusClearedVia' : 'statusClearedViaUnverified', via), 'success');
+      } else if (response && response.attempts) {
+        console.error('All clearing strategies failed:', response.attempts);
+        showStatus(t('statusClearFailed', String(response.error)), 'error', 6000);
       } else {
-        showStatus(response.message || 'Error clearing clipboard', 'error');
+        showStatus((response && (response.message || response.error)) || t('statusClearError'), 'error');
       }
     } 
     catch (error) {
       console.error('Error clearing clipboard:', error);
-      showStatus('Error clearing clipboard', 'error');
+      showStatus(t('statusClearError'), 'error');
     } 
     finally {
       clearNowBtn.disabled = false;
-      clearNowBtn.textContent = 'Clear Now';
+      clearNowBtn.textContent = t('clearNowButton');
+      if (countdownPanel && !statePort) loadPendingClear();
     }
   }
-  
-  function showStatus(message, type, timeout = 3000) {
-    statusDiv.textContent = message;
-    statusDiv.className = `status ${type}`;
-    statusDiv.style.display = 'block';
-    
-    setTimeout(() => {
-      statusDiv.style.display = 'none';
-    }, timeout);
-  }
-  
-  function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
-  }
 });
@@ -0,0 +1,271 @@
+// Settings schema shared by the background and the extension pages. Each
+// synced setting has a storage key, a field on the in-memory settings object,
+// a default, and a check for incoming values. Stored values are read back
+// through the same schema, so a missing, corrupt or out-of-date value falls
+// back to its default instead of leaking through.
+
+(function() {
+  'use strict';
+
+  const root = typeof globalThis !== 'undefined' ? globalThis : self;
+
+  if (root.settingsStore) return;
+
+  // Which clipboard events start the countdown
+  const CLEAR_TRIGGERS = ['paste', 'copy', 'both'];
+
+  // Per-site rule modes: follow global settings, always clear, password-only, never clear
+  const SITE_RULE_MODES = ['default', 'always', 'password', 'never'];
+
+  // Browser events that can clear a pending countdown early, each behind its own setting
+  const EVENT_TRIGGER_KEYS = ['clearOnTabClose', 'clearOnNavigate', 'clearOnBlur', 'clearOnIdle'];
+
+  const isBoolean = (value) => typeof value === 'boolean';
+
+  function isValidInterval(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 300;
+  }
+
+  // null means sensitive pastes use the normal interval; 0 clears right away
+  function isValidPasswordInterval(value) {
+    return value === null || (Number.isInteger(value) && value >= 0 && value <= 300);
+  }
+
+  // null means private windows use the same intervals as normal ones
+  function isValidIncognitoInterval(value) {
+    return value === null || isValidInterval(value);
+  }
+
+  // Accepts bare hosts ("github.com", "*.github.com") as well as origins/URLs
+  function normalizeHost(value) {
+    try {
+      const host = String(value || '').trim().toLowerCase().replace(/^\*\./, '');
+      if (!host || host === 'null') return '';
+      if (host.includes('://')) return new URL(host).hostname;
+      return host.split('/')[0].split(':')[0];
+    }
+    catch (_) {
+      return '';
+    }
+  }
+
+  function sanitizeSiteRule(rule) {
+    const host = normalizeHost(rule && rule.host);
+    if (!host) return null;
+    const interval = Number(rule.interval);
+    return {
+      host,
+      mode: SITE_RULE_MODES.includes(rule.mode) ? rule.mode : 'default',
+      interval: isValidInterval(interval) ? interval : null,
+    };
+  }
+
+  function isValidSiteRules(value) {
+    return Array.isArray(value) &&
+      value.every((rule) => sanitizeSiteRule(rule) !== null && SITE_RULE_MODES.includes(rule.mode));
+  }
+
+  function isValidPattern(source) {
+    if (typeof source !== 'string' || !source.trim()) return false;
+    try {
+      new RegExp(source);
+      return true;
+    }
+    catch (_) {
+      return false;
+    }
+  }
+
+  // Patterns are compiled by the content script; only valid sources are stored
+  function sanitizePatterns(patterns) {
+    if (!Array.isArray(patterns)) return [];
+    return patterns.filter(isValidPattern).map((source) => source.trim());
+  }
+
+  // `field` defaults to the storage key. `read` turns a stored value into a
+  // usable one; without it, invalid values fall back to the default.
+  // `update` builds the background message that saves the setting, and `lock`
+  // names the group an enterprise policy for the key locks.
+  const SCHEMA = [
+    {
+      key: 'clipboardInterval',
+      field: 'interval',
+      default: 10,
+      valid: isValidInterval,
+      lock: 'interval',
+      update: (interval) => ({ type: 'UPDATE_SETTINGS', interval }),
+    },
+    {
+      key: 'passwordClipboardInterval',
+      field: 'passwordInterval',
+      default: null,
+      valid: isValidPasswordInterval,
+      lock: 'interval',
+      update: (value) => ({ type: 'UPDATE_PASSWORD_INTERVAL', value }),
+    },
+    {
+      key: 'extensionEnabled',
+      field: 'enabled',
+      default: true,
+      valid: isBoolean,
+      lock: 'enabled',
+      update: (enabled) => ({ type: 'TOGGLE_EXTENSION', enabled }),
+    },
+    {
+      key: 'clearOnlyOnPasswordPaste',
+      default: false,
+      valid: isBoolean,
+      lock: 'clearOnlyOnPasswordPaste',
+      update: (value) => ({ type: 'UPDATE_PASSWORD_ONLY', value }),
+    },
+    {
+      key: 'clearTrigger',
+      default: 'paste',
+      valid: (value) => CLEAR_TRIGGERS.includes(value),
+      update: (value) => ({ type: 'UPDATE_CLEAR_TRIGGER', value }),
+    },
+    // Saved one rule at a time with UPDATE_SITE_RULE / REMOVE_SITE_RULE
+    {
+      key: 'siteRules',
+      default: [],
+      valid: isValidSiteRules,
+      read: (value) => (Array.isArray(value) ? value.map(sanitizeSiteRule).filter(Boolean) : []),
+      lock: 'siteRules',
+    },
+    {
+      key: 'detectSensitiveContent',
+      default: true,
+      valid: isBoolean,
+      update: (value) => ({ type: 'UPDATE_SENSITIVE_DETECTION', value }),
+    },
+    {
+      key: 'sensitivePatterns',
+      default: [],
+      valid: (value) => Array.isArray(value) && value.every(isValidPattern),
+      read: sanitizePatterns,
+      update: (patterns) => ({ type: 'UPDATE_SENSITIVE_PATTERNS', patterns }),
+    },
+    ...['notifyBeforeClear', 'notifyOnClear', 'showPageToast'].map((key) => ({
+      key,
+      default: false,
+      valid: isBoolean,
+      update: (value) => ({ type: 'UPDATE_NOTIFICATIONS', [key]: value }),
+    })),
+    {
+      key: 'incognitoClipboardInterval',
+      field: 'incognitoInterval',
+      default: null,
+      valid: isValidIncognitoInterval,
+      lock: 'incognito',
+      update: (interval) => ({ type: 'UPDATE_INCOGNITO', interval }),
+    },
+    {
+      key: 'clearOnIncognitoClose',
+      default: true,
+      valid: isBoolean,
+      lock: 'incognito',
+      update: (clearOnClose) => ({ type: 'UPDATE_INCOGNITO', clearOnClose }),
+    },
+    ...EVENT_TRIGGER_KEYS.map((key) => ({
+      key,
+      default: false,
+      valid: isBoolean,
+      update: (value) => ({ type: 'UPDATE_EVENT_TRIGGERS', [key]: value }),
+    })),
+  ].map((entry) => ({ field: entry.key, ...entry }));
+
+  const BY_KEY = Object.fromEntries(SCHEMA.map((entry) => [entry.key, entry]));
+
+  function copy(value) {
+    return Array.isArray(value) ? value.slice() : value;
+  }
+
+  function readValue(entry, value) {
+    if (entry.read) return entry.read(value);
+    return entry.valid(value) ? copy(value) : copy(entry.default);
+  }
+
+  // Default settings object, keyed by field
+  function getDefaults() {
+    return Object.fromEntries(SCHEMA.map((entry) => [entry.field, copy(entry.default)]));
+  }
+
+  // Full settings object, keyed by field, from values keyed by storage key
+  function readStored(values = {}) {
+    return Object.fromEntries(SCHEMA.map((entry) => [entry.field, readValue(entry, values[entry.key])]));
+  }
+
+  // Only the settings named in a storage.onChanged event, keyed by field.
+  // A removed value reads as its default.
+  function readChanges(changes) {
+    const fields = {};
+    Object.keys(changes).forEach((key) => {
+      const entry = BY_KEY[key];
+      if (entry) fields[entry.field] = readValue(entry, changes[key].newValue);
+    });
+    return fields;
+  }
+
+  function isValid(key, value) {
+    return Boolean(BY_KEY[key]) && BY_KEY[key].valid(value);
+  }
+
+  // Saves one setting from an extension page. The background applies it and
+  // enforces policy locks; resolves with its response, or rejects with the
+  // reason the value was refused.
+  function save(key, value, timeout = 5000) {
+    const entry = BY_KEY[key];
+    if (!entry || !entry.update) return Promise.reject(new Error(`${key} cannot be saved on its own`));
+    if (!entry.valid(value)) return Promise.reject(new Error(`Invalid value for ${key}`));
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        reject(new Error('Timeout saving option'));
+      }, timeout);
+
+      chrome.runtime.sendMessage(entry.update(value), (response) => {
+        clearTimeout(timeoutId);
+
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response || !response.success) {
+          reject(new Error((response && (response.error || response.message)) || `Could not save ${key}`));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // Calls listener(fields, area) whenever synced or policy settings change,
+  // whether from this window, another one or another synced device
+  function onChange(listener) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync' && area !== 'managed') return;
+      const fields = readChanges(changes);
+      if (Object.keys(fields).length) listener(fields, area);
+    });
+  }
+
+  root.settingsStore = {
+    CLEAR_TRIGGERS,
+    SITE_RULE_MODES,
+    EVENT_TRIGGER_KEYS,
+    SCHEMA,
+    KEYS: SCHEMA.map((entry) => entry.key),
+    // Policy keys, mapped to the group of controls each one locks
+    LOCKS: Object.fromEntries(SCHEMA.filter((entry) => entry.lock).map((entry) => [entry.key, entry.lock])),
+    getDefaults,
+    readStored,
+    readChanges,
+    isValid,
+    save,
+    onChange,
+    isValidPasswordInterval,
+    isValidIncognitoInterval,
+    normalizeHost,
+    sanitizeSiteRule,
+    isValidPattern,
+    sanitizePatterns,
+  };
+})();
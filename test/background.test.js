@@ -0,0 +1,818 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadBackground, loadContentScript, installOffscreen, installPageScripting, hashText } = require('./helpers/load');
+
+// Background plus a page on example.com that can send messages like content.js does
+async function setup(options = {}) {
+  const env = createEnvironment();
+  Object.assign(env.storage.sync, options.sync);
+  Object.assign(env.storage.managed, options.managed);
+  installOffscreen(env);
+  installPageScripting(env);
+  const tab = env.addTab({ url: 'https://example.com/login', active: true });
+  const background = loadBackground(env);
+  const page = env.createContext('content', { tabId: tab.id, url: tab.url });
+  const popup = env.createContext('extension', { name: 'popup' });
+  await env.settle();
+  return { env, background, tab, page, popup };
+}
+
+const paste = (page, details = {}) => page.chrome.runtime.sendMessage({
+  type: 'PASTE_DETECTED',
+  origin: 'https://example.com',
+  isPassword: false,
+  isSensitive: false,
+  contentHash: null,
+  ...details,
+});
+
+test('GET_SETTINGS returns stored settings merged over defaults', async () => {
+  const { popup } = await setup({ sync: { clipboardInterval: 25, clearTrigger: 'both' } });
+  const settings = await popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.interval, 25);
+  assert.equal(settings.clearTrigger, 'both');
+  assert.equal(settings.enabled, true);
+  assert.deepEqual(settings.siteRules, []);
+});
+
+test('UPDATE_SETTINGS persists the interval and reschedules a pending clear', async () => {
+  const { env, page, popup } = await setup();
+  await paste(page);
+  const ok = await popup.chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', interval: 45 });
+  assert.deepEqual(ok, { success: true });
+  await env.settle();
+  assert.equal(env.storage.sync.clipboardInterval, 45);
+  assert.equal(env.badge.text, '45');
+});
+
+test('unknown message types get an error response', async () => {
+  const { popup } = await setup();
+  const response = await popup.chrome.runtime.sendMessage({ type: 'NOPE' });
+  assert.deepEqual(response, { success: false, error: 'Unknown message type' });
+});
+
+test('a paste starts a badge countdown that ends in a clear', async () => {
+  const { env, page } = await setup({ sync: { clipboardInterval: 3 } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+
+  assert.equal(env.badge.text, '3');
+  assert.ok(env.alarms.has('clearClipboard'));
+  assert.equal(env.storage.session.pendingClear.origin, 'https://example.com');
+
+  await env.clock.tick(1000);
+  assert.equal(env.badge.text, '2');
+  await env.clock.tick(2000);
+
+  assert.equal(env.clipboard, '');
+  assert.equal(env.badge.text, 'OK');
+  assert.equal(env.storage.session.pendingClear, undefined);
+  assert.deepEqual(env.badgeHistory.slice(0, 4), ['3', '2', '1', 'OK']);
+
+  const [entry] = env.storage.local.clearHistory;
+  assert.equal(entry.status, 'cleared');
+  assert.equal(entry.method, 'active-tab');
+  assert.equal(entry.verified, true);
+  assert.equal(entry.trigger, 'paste');
+
+  await env.clock.tick(2000);
+  assert.equal(env.badge.text, '');
+});
+
+test('password-only mode ignores ordinary pastes', async () => {
+  const { env, page } = await setup({ sync: { clearOnlyOnPasswordPaste: true } });
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '');
+
+  await paste(page, { isPassword: true });
+  await env.settle();
+  assert.equal(env.badge.text, '10');
+});
+
+test('password pastes use the password interval', async () => {
+  const { env, page } = await setup({ sync: { clipboardInterval: 30, passwordClipboardInterval: 5 } });
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '30');
+
+  await paste(page, { isPassword: true });
+  await env.settle();
+  assert.equal(env.badge.text, '5');
+});
+
+test('a password interval of 0 clears right after a paste but not after a copy', async () => {
+  const { env, page } = await setup({ sync: { clipboardInterval: 20, passwordClipboardInterval: 0, clearTrigger: 'both' } });
+  env.clipboard = 'hunter2';
+  await page.chrome.runtime.sendMessage({ type: 'COPY_DETECTED', origin: 'https://example.com', isPassword: true, contentHash: null });
+  await env.settle();
+  assert.equal(env.badge.text, '20');
+  assert.equal(env.clipboard, 'hunter2');
+
+  await paste(page, { isPassword: true });
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(env.badge.text, 'OK');
+});
+
+test('UPDATE_PASSWORD_INTERVAL validates and can be reset to the normal interval', async () => {
+  const { env, popup } = await setup();
+  const send = (value) => popup.chrome.runtime.sendMessage({ type: 'UPDATE_PASSWORD_INTERVAL', value });
+  assert.equal((await send(301)).success, false);
+  assert.equal((await send(2.5)).success, false);
+  assert.deepEqual(await send(0), { success: true });
+  assert.equal(env.storage.sync.passwordClipboardInterval, 0);
+  assert.deepEqual(await send(null), { success: true });
+  const settings = await popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.passwordInterval, null);
+});
+
+test('a "never" site rule suppresses the countdown', async () => {
+  const { env, page } = await setup({ sync: { siteRules: [{ host: 'example.com', mode: 'never' }] } });
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '');
+  assert.equal(env.alarms.size, 0);
+});
+
+test('the clear is skipped when the clipboard no longer holds the pasted text', async () => {
+  const { env, page } = await setup({ sync: { clipboardInterval: 2 } });
+  env.clipboard = 'first';
+  const salt = (await page.chrome.runtime.sendMessage({ type: 'GET_HASH_SALT' })).salt;
+  await paste(page, { contentHash: await hashText(salt, 'first') });
+
+  env.clipboard = 'something newer';
+  await env.clock.tick(2000);
+
+  assert.equal(env.clipboard, 'something newer');
+  assert.equal(env.badge.text, 'SKIP');
+  assert.equal(env.storage.local.clearHistory[0].status, 'skipped');
+});
+
+test('an image paste is cleared along with every other format and its types recorded', async () => {
+  const { env, page } = await setup({ sync: { clipboardInterval: 2 } });
+  env.clipboardFormats = { 'image/png': true };
+  await paste(page, { contentTypes: ['Files', 'image/png'] });
+  await env.clock.tick(2000);
+
+  assert.deepEqual(env.clipboardFormats, {});
+  const [entry] = env.storage.local.clearHistory;
+  assert.equal(entry.status, 'cleared');
+  assert.equal(entry.verified, true);
+  assert.deepEqual(entry.types, ['image/png']);
+});
+
+test('a text-only write that leaves an image behind does not count as cleared', async () => {
+  const { env, popup } = await setup();
+  env.clipboard = 'secret';
+  env.clipboardFormats = { 'image/png': true };
+  // The active tab only manages a text write
+  const original = env.executeScript;
+  env.executeScript = () => {
+    env.clipboard = '';
+    return { ok: true, error: null };
+  };
+  const result = await env.run(popup.chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_NOW' }));
+  env.executeScript = original;
+
+  assert.equal(result.attempts[0].strategy, 'active-tab');
+  assert.equal(result.attempts[0].ok, false);
+  assert.match(result.attempts[0].error, /still had content/);
+  assert.equal(result.success, true);
+  assert.deepEqual(env.clipboardFormats, {});
+  assert.deepEqual(result.types, ['text/plain', 'image/png']);
+});
+
+test('clearing falls back in order until the clipboard reads back empty', async () => {
+  const { env, popup, tab } = await setup();
+  // Active tab is not scriptable and no content script answers
+  tab.url = 'chrome://settings';
+  env.clipboard = 'secret';
+
+  const result = await popup.chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_NOW' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.strategy, 'offscreen');
+  assert.deepEqual(result.attempts.map((a) => [a.strategy, a.ok]), [
+    ['active-tab', false],
+    ['other-tab', false],
+    ['content-script', false],
+    ['offscreen', true],
+  ]);
+  assert.equal(env.clipboard, '');
+  assert.equal(env.offscreenOpen, false);
+});
+
+test('a strategy that leaves content behind does not count as cleared', async () => {
+  const { env, popup } = await setup();
+  env.clipboard = 'secret';
+  // The page claims success without touching the clipboard
+  env.executeScript = () => ({ ok: true, error: null });
+
+  const result = await popup.chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_NOW' });
+
+  assert.equal(result.strategy, 'offscreen');
+  assert.equal(result.attempts[0].strategy, 'active-tab');
+  assert.equal(result.attempts[0].error, 'Clipboard still had content after clearing');
+});
+
+test('every strategy failing is reported with each error', async () => {
+  const { env, popup } = await setup();
+  env.clipboard = 'secret';
+  env.clipboardDenied = true;
+  env.execCommandDenied = true;
+
+  const result = await env.run(popup.chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_NOW' }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.attempts.length, 5);
+  assert.match(result.error, /^active-tab: /);
+  assert.equal(env.storage.local.clearHistory[0].status, 'failed');
+});
+
+test('an overdue clear is picked up after the worker restarts', async () => {
+  const { env, background, page } = await setup({ sync: { clipboardInterval: 5 } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+  background.terminate();
+
+  await env.clock.tick(60000);
+  assert.equal(env.clipboard, 'hunter2');
+
+  loadBackground(env);
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(env.storage.local.clearHistory[0].status, 'cleared');
+});
+
+test('extending or cancelling works on a countdown from before a restart', async () => {
+  const { env, background, page, popup } = await setup({ sync: { clipboardInterval: 10 } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+  const { deadline } = env.storage.session.pendingClear;
+  background.terminate();
+
+  const restarted = loadBackground(env);
+  const extended = await popup.chrome.runtime.sendMessage({ type: 'EXTEND_COUNTDOWN', seconds: 30 });
+  assert.equal(extended.success, true);
+  assert.equal(env.storage.session.pendingClear.deadline, deadline + 30000);
+
+  restarted.terminate();
+  loadBackground(env);
+  const cancelled = await popup.chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CLEAR' });
+  assert.equal(cancelled.success, true);
+  await env.clock.tick(60000);
+  assert.equal(env.clipboard, 'hunter2');
+});
+
+test('a manual clear after a restart respects a disabled extension', async () => {
+  const { env, background, popup } = await setup({ sync: { extensionEnabled: false } });
+  env.clipboard = 'hunter2';
+  background.terminate();
+
+  loadBackground(env, { startup: false });
+  const result = await popup.chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_NOW' });
+  await env.settle();
+  assert.equal(result.success, false);
+  assert.equal(env.clipboard, 'hunter2');
+});
+
+test('a paste that wakes the worker is judged by the stored settings', async () => {
+  const { env, background, page } = await setup({ sync: { clearTrigger: 'copy' } });
+  background.terminate();
+
+  loadBackground(env, { startup: false });
+  await paste(page);
+  await env.settle();
+  assert.equal(env.storage.session.pendingClear, undefined);
+  assert.equal(env.badge.text, '');
+});
+
+test('settings changed in another window apply without a restart', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 5 } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '5');
+
+  await popup.chrome.storage.sync.set({ extensionEnabled: false, clipboardInterval: 40 });
+  await env.settle();
+  assert.equal(env.badge.text, 'OFF');
+  await env.clock.tick(10000);
+  assert.equal(env.clipboard, 'hunter2');
+
+  const settings = await popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.enabled, false);
+  assert.equal(settings.interval, 40);
+});
+
+test('EXTEND_COUNTDOWN and CANCEL_PENDING_CLEAR adjust the pending clear', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 5 } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+
+  const extended = await popup.chrome.runtime.sendMessage({ type: 'EXTEND_COUNTDOWN', seconds: 30 });
+  assert.equal(extended.success, true);
+  await env.settle();
+  assert.equal(env.badge.text, '35');
+
+  const cancelled = await popup.chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CLEAR' });
+  assert.deepEqual(cancelled, { success: true });
+  await env.clock.tick(40000);
+  assert.equal(env.clipboard, 'hunter2');
+  assert.equal(env.alarms.size, 0);
+});
+
+test('GET_STATE and the state port report the pending clear without its hash', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 5 } });
+  const idle = await popup.chrome.runtime.sendMessage({ type: 'GET_STATE' });
+  assert.equal(idle.state.pending, null);
+
+  const port = popup.chrome.runtime.connect({ name: 'state' });
+  const pushed = [];
+  port.onMessage.addListener((state) => pushed.push(state));
+  await env.settle();
+  assert.equal(pushed.length, 1);
+
+  await paste(page, { contentHash: 'abc', isPassword: true });
+  await env.settle();
+  const { state } = await popup.chrome.runtime.sendMessage({ type: 'GET_STATE' });
+  assert.deepEqual(state.pending, {
+    deadline: env.clock.now + 5000,
+    startedAt: env.clock.now,
+    origin: 'https://example.com',
+    trigger: 'paste',
+    isPassword: true,
+  });
+  assert.deepEqual(pushed[pushed.length - 1].pending, state.pending);
+
+  await popup.chrome.runtime.sendMessage({ type: 'EXTEND_COUNTDOWN', seconds: 30 });
+  await env.settle();
+  assert.equal(pushed[pushed.length - 1].pending.deadline, state.pending.deadline + 30000);
+
+  await popup.chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CLEAR' });
+  await env.settle();
+  assert.equal(pushed[pushed.length - 1].pending, null);
+
+  // Closed popups stop getting pushes
+  const count = pushed.length;
+  port.disconnect();
+  await env.settle();
+  await paste(page);
+  await env.settle();
+  assert.equal(pushed.length, count);
+});
+
+test('the page toast is shown in the pasting frame only when enabled, and hidden on clear', async () => {
+  const { env, page } = await setup({ sync: { clipboardInterval: 3, showPageToast: true } });
+  const toasts = [];
+  page.onMessage.addListener((message, sender, sendResponse) => {
+    if (!/PAGE_TOAST/.test(message.type)) return;
+    toasts.push(message);
+    sendResponse({ success: true });
+  });
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+  assert.deepEqual(toasts, [{ type: 'SHOW_PAGE_TOAST', deadline: env.clock.now + 3000 }]);
+
+  await env.clock.tick(3000);
+  assert.equal(env.clipboard, '');
+  assert.deepEqual(toasts.map((m) => m.type), ['SHOW_PAGE_TOAST', 'HIDE_PAGE_TOAST']);
+
+  // Off by default
+  const other = await setup();
+  const none = [];
+  other.page.onMessage.addListener((message) => { none.push(message.type); });
+  await paste(other.page);
+  await other.env.settle();
+  assert.deepEqual(none, []);
+});
+
+test("the toast's Keep cancels the clear even once the worker was suspended", async () => {
+  const { env, background, tab } = await setup({ sync: { clipboardInterval: 10, showPageToast: true } });
+  const page = loadContentScript(env, '<!DOCTYPE html><body><input id="pass" type="password"></body>', { url: tab.url, tabId: tab.id });
+  await env.settle();
+  env.clipboard = 'hunter2';
+  const event = new page.window.Event('paste', { bubbles: true, cancelable: true });
+  event.clipboardData = { types: ['text/plain'], getData: () => 'hunter2' };
+  page.document.getElementById('pass').dispatchEvent(event);
+  await env.settle();
+  const root = env.shadowRoots.get(page.document.querySelector('cpf-toast'));
+  background.terminate();
+
+  loadBackground(env, { startup: false });
+  const keep = [...root.querySelectorAll('button')].find((b) => b.textContent === 'Keep');
+  keep.dispatchEvent(new page.window.Event('click'));
+  await env.settle();
+  await env.clock.tick(20000);
+  assert.equal(env.clipboard, 'hunter2');
+  assert.equal(env.storage.session.pendingClear, undefined);
+});
+
+test('managed policy overrides sync settings and locks them', async () => {
+  const env = createEnvironment();
+  env.storage.sync.clipboardInterval = 30;
+  env.storage.managed.clipboardInterval = 8;
+  loadBackground(env);
+  const popup = env.createContext('extension', { name: 'popup' });
+  await env.settle();
+
+  const settings = await popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.interval, 8);
+  assert.ok(settings.locked.includes('interval'));
+
+  const response = await popup.chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', interval: 20 });
+  assert.equal(response.success, false);
+  const passwordResponse = await popup.chrome.runtime.sendMessage({ type: 'UPDATE_PASSWORD_INTERVAL', value: 60 });
+  assert.equal(passwordResponse.success, false);
+});
+
+test('a site rule cannot outlast an interval forced by policy', async () => {
+  const { env, page } = await setup({
+    sync: { siteRules: [{ host: 'example.com', mode: 'always', interval: 60 }] },
+    managed: { clipboardInterval: 8 },
+  });
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '8');
+});
+
+test('policy locks hold for messages that wake a suspended worker', async () => {
+  const env = createEnvironment();
+  env.storage.managed.clipboardInterval = 30;
+  env.storage.managed.extensionEnabled = true;
+  env.storage.managed.siteRules = [{ host: 'example.com', mode: 'always', interval: null }];
+  const background = loadBackground(env);
+  const popup = env.createContext('extension', { name: 'popup' });
+  await env.settle();
+  background.terminate();
+
+  loadBackground(env, { startup: false });
+  const interval = await popup.chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', interval: 60 });
+  const toggle = await popup.chrome.runtime.sendMessage({ type: 'TOGGLE_EXTENSION', enabled: false });
+  const rule = await popup.chrome.runtime.sendMessage({ type: 'REMOVE_SITE_RULE', host: 'example.com' });
+  assert.deepEqual([interval.success, toggle.success, rule.success], [false, false, false]);
+  assert.equal(env.storage.sync.clipboardInterval, undefined);
+  assert.equal(env.storage.sync.extensionEnabled, undefined);
+  assert.equal(env.storage.sync.siteRules, undefined);
+});
+
+test('closing the paste tab clears early only when enabled', async () => {
+  const { env, page, tab } = await setup({ sync: { clipboardInterval: 30 } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+  env.events.tabRemoved.dispatch(tab.id, { windowId: 1, isWindowClosing: false });
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+
+  env.storage.sync.clearOnTabClose = true;
+  env.events.startup.dispatch();
+  await env.settle();
+  env.events.tabRemoved.dispatch(tab.id + 1, { windowId: 1, isWindowClosing: false });
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+
+  env.events.tabRemoved.dispatch(tab.id, { windowId: 1, isWindowClosing: false });
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(env.storage.local.clearHistory[0].trigger, 'tab-closed');
+  assert.equal(env.alarms.size, 0);
+});
+
+// A tab in a private window, with a content script that can report pastes
+function openPrivatePage(env) {
+  const win = { id: env.nextWindowId++, focused: true, incognito: true };
+  env.windows.push(win);
+  const tab = env.addTab({ url: 'https://example.com/', windowId: win.id, incognito: true });
+  return { win, page: env.createContext('content', { tabId: tab.id, url: tab.url }) };
+}
+
+test('private-window pastes use the incognito interval and stay out of history', async () => {
+  const { env } = await setup({ sync: { clipboardInterval: 30, incognitoClipboardInterval: 4 } });
+  const { page } = openPrivatePage(env);
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '4');
+
+  await env.clock.tick(4000);
+  assert.equal(env.clipboard, '');
+  assert.equal(env.storage.local.clearHistory, undefined);
+});
+
+test('closing the last private window clears a pending private paste', async () => {
+  const { env, popup } = await setup({ sync: { clipboardInterval: 60 } });
+  const first = openPrivatePage(env);
+  const second = openPrivatePage(env);
+  env.clipboard = 'hunter2';
+  await paste(first.page);
+  await env.settle();
+
+  await popup.chrome.windows.remove(first.win.id);
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+
+  await popup.chrome.windows.remove(second.win.id);
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(env.alarms.size, 0);
+});
+
+test('closing the last private window clears a private paste whose clear was cancelled', async () => {
+  const { env, popup } = await setup({ sync: { clipboardInterval: 60 } });
+  const { win, page } = openPrivatePage(env);
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await env.settle();
+  assert.equal((await popup.chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CLEAR' })).success, true);
+
+  await popup.chrome.windows.remove(win.id);
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(env.storage.local.clearHistory, undefined);
+});
+
+test('closing the last private window leaves anything copied since a private paste alone', async () => {
+  const { env, popup } = await setup({ sync: { clipboardInterval: 5 } });
+  const { win, page } = openPrivatePage(env);
+  const salt = (await page.chrome.runtime.sendMessage({ type: 'GET_HASH_SALT' })).salt;
+  env.clipboard = 'hunter2';
+  await paste(page, { contentHash: await hashText(salt, 'hunter2') });
+  await env.clock.tick(5000);
+  assert.equal(env.clipboard, '');
+
+  env.clipboard = 'copied in a normal window';
+  await popup.chrome.windows.remove(win.id);
+  await env.settle();
+  assert.equal(env.clipboard, 'copied in a normal window');
+
+  const other = openPrivatePage(env);
+  env.clipboard = 'hunter2';
+  await paste(other.page, { contentHash: await hashText(salt, 'hunter2') });
+  await popup.chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CLEAR' });
+  env.clipboard = 'copied in a normal window';
+  await popup.chrome.windows.remove(other.win.id);
+  await env.settle();
+  assert.equal(env.clipboard, 'copied in a normal window');
+});
+
+test('closing the last private window leaves a cancelled normal paste alone', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 60 } });
+  const { win } = openPrivatePage(env);
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await popup.chrome.runtime.sendMessage({ type: 'CANCEL_PENDING_CLEAR' });
+
+  await popup.chrome.windows.remove(win.id);
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+});
+
+test('UPDATE_INCOGNITO validates and can turn off clearing on close', async () => {
+  const { env, popup } = await setup();
+  const send = (details) => popup.chrome.runtime.sendMessage({ type: 'UPDATE_INCOGNITO', ...details });
+  assert.equal((await send({ interval: 0 })).success, false);
+  assert.deepEqual(await send({ interval: 15, clearOnClose: false }), { success: true });
+  assert.equal(env.storage.sync.incognitoClipboardInterval, 15);
+  assert.equal(env.storage.sync.clearOnIncognitoClose, false);
+
+  const { win, page } = openPrivatePage(env);
+  env.clipboard = 'hunter2';
+  await paste(page);
+  await popup.chrome.windows.remove(win.id);
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+  assert.equal(env.badge.text, '10');
+});
+
+test('navigating the paste tab to another origin clears early', async () => {
+  const { env, page, tab } = await setup({ sync: { clipboardInterval: 30, clearOnNavigate: true } });
+  env.clipboard = 'hunter2';
+  await paste(page);
+
+  env.events.tabUpdated.dispatch(tab.id, { url: 'https://example.com/account' });
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+
+  env.events.tabUpdated.dispatch(tab.id, { url: 'https://elsewhere.test/' });
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(env.storage.local.clearHistory[0].trigger, 'navigation');
+});
+
+test('window blur and idle clear early when enabled', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 30 } });
+  const update = await popup.chrome.runtime.sendMessage({ type: 'UPDATE_EVENT_TRIGGERS', clearOnBlur: true, clearOnIdle: true });
+  assert.deepEqual(update, { success: true });
+  assert.equal(env.storage.sync.clearOnBlur, true);
+
+  env.clipboard = 'hunter2';
+  await paste(page);
+  env.events.windowFocusChanged.dispatch(2);
+  await env.settle();
+  assert.equal(env.clipboard, 'hunter2');
+  env.events.windowFocusChanged.dispatch(-1);
+  await env.settle();
+  assert.equal(env.clipboard, '');
+
+  env.clipboard = 'again';
+  await paste(page);
+  env.events.idleStateChanged.dispatch('locked');
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.deepEqual(env.storage.local.clearHistory.map((e) => e.trigger), ['window-blur', 'idle']);
+});
+
+test('EXPORT_SETTINGS produces a versioned profile that IMPORT_SETTINGS accepts', async () => {
+  const { popup } = await setup({
+    sync: { clipboardInterval: 20, clearOnlyOnPasswordPaste: true, siteRules: [{ host: 'example.com', mode: 'never' }] },
+  });
+  const { profile } = await popup.chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS' });
+  assert.equal(profile.format, 'copy-paste-forget-settings');
+  assert.equal(profile.version, 1);
+  assert.equal(profile.settings.clipboardInterval, 20);
+  assert.equal(profile.settings.clearOnlyOnPasswordPaste, true);
+
+  // Import into a fresh install
+  const other = await setup();
+  const result = await other.popup.chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', profile });
+  assert.equal(result.success, true);
+  assert.deepEqual(result.skipped, []);
+  const settings = await other.popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.interval, 20);
+  assert.equal(settings.clearOnlyOnPasswordPaste, true);
+  assert.deepEqual(settings.siteRules, [{ host: 'example.com', mode: 'never', interval: null }]);
+  assert.equal(other.env.storage.sync.clipboardInterval, 20);
+});
+
+test('IMPORT_SETTINGS rejects invalid files without applying anything', async () => {
+  const { env, popup } = await setup({ sync: { clipboardInterval: 10 } });
+  const send = (profile) => popup.chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', profile });
+
+  const invalid = await send({ format: 'copy-paste-forget-settings', version: 1, settings: { clipboardInterval: 20, clearTrigger: 'sometimes' } });
+  assert.deepEqual(invalid, { success: false, error: 'Invalid settings: clearTrigger' });
+  assert.equal(env.storage.sync.clipboardInterval, 10);
+
+  const newer = await send({ format: 'copy-paste-forget-settings', version: 99, settings: {} });
+  assert.match(newer.error, /newer version/);
+
+  const foreign = await send({ format: 'something-else', version: 1 });
+  assert.match(foreign.error, /Not a Copy, Paste, Forget! settings file/);
+
+  // A JSON object is not a profile without the format marker
+  const bare = await send({ interval: 45, clipboardInterval: 45, clearTrigger: 'both' });
+  assert.match(bare.error, /Not a Copy, Paste, Forget! settings file/);
+  const unversioned = await send({ format: 'copy-paste-forget-settings', settings: { clipboardInterval: 45 } });
+  assert.match(unversioned.error, /Invalid settings file version/);
+  assert.equal(env.storage.sync.clipboardInterval, 10);
+});
+
+test('IMPORT_SETTINGS reschedules a pending clear like the individual updates do', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 60 } });
+  await paste(page, { isPassword: true });
+  await env.settle();
+  assert.equal(env.badge.text, '60');
+
+  const result = await popup.chrome.runtime.sendMessage({
+    type: 'IMPORT_SETTINGS',
+    profile: { format: 'copy-paste-forget-settings', version: 1, settings: { passwordClipboardInterval: 5, clearTrigger: 'both' } },
+  });
+  assert.deepEqual(result, { success: true, applied: ['passwordClipboardInterval', 'clearTrigger'], skipped: [] });
+  await env.settle();
+  assert.equal(env.badge.text, '5');
+  assert.equal(env.storage.sync.clearTrigger, 'both');
+});
+
+test('IMPORT_SETTINGS leaves policy-managed fields alone', async () => {
+  const env = createEnvironment();
+  env.storage.managed.clipboardInterval = 8;
+  loadBackground(env);
+  const popup = env.createContext('extension', { name: 'popup' });
+  await env.settle();
+
+  const result = await popup.chrome.runtime.sendMessage({
+    type: 'IMPORT_SETTINGS',
+    profile: { format: 'copy-paste-forget-settings', version: 1, settings: { clipboardInterval: 30, notifyOnClear: true } },
+  });
+  assert.deepEqual(result, { success: true, applied: ['notifyOnClear'], skipped: ['clipboardInterval'] });
+  const settings = await popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.interval, 8);
+  assert.equal(settings.notifyOnClear, true);
+});
+
+test('pastes in iframes use the frame rule first, then the page rule', async () => {
+  const { env, tab } = await setup({
+    sync: { siteRules: [{ host: 'example.com', mode: 'never' }, { host: 'pay.widget.test', mode: 'always', interval: 3 }] },
+  });
+  const frame = (url, frameId) => env.createContext('content', { tabId: tab.id, frameId, url });
+
+  await paste(frame('https://ads.other.test/slot', 2), { origin: 'https://ads.other.test' });
+  await env.settle();
+  assert.equal(env.badge.text, '');
+
+  await paste(frame('https://pay.widget.test/card', 3), { origin: 'https://pay.widget.test' });
+  await env.settle();
+  assert.equal(env.badge.text, '3');
+  assert.equal(env.storage.session.pendingClear.origin, 'https://pay.widget.test');
+});
+
+test('content-script clearing only asks the top frame', async () => {
+  const { env, popup, tab } = await setup();
+  tab.url = 'https://example.com/';
+  env.executeScript = () => ({ ok: false, error: 'Document is not focused.' });
+  const top = env.createContext('content', { tabId: tab.id, url: tab.url });
+  const sub = env.createContext('content', { tabId: tab.id, frameId: 7, url: 'https://pay.widget.test/' });
+  sub.onMessage.addListener((message, sender, sendResponse) => {
+    sendResponse({ success: false, error: 'Document is not focused.' });
+  });
+  top.onMessage.addListener((message, sender, sendResponse) => {
+    setTimeout(() => {
+      env.clipboard = '';
+      sendResponse({ success: true });
+    }, 0);
+    return true;
+  });
+  env.clipboard = 'secret';
+
+  const result = await popup.chrome.runtime.sendMessage({ type: 'CLEAR_CLIPBOARD_NOW' });
+  assert.equal(result.strategy, 'content-script');
+});
+
+test('SNOOZE pauses clearing, shows on the badge and ends on its alarm', async () => {
+  const { env, page, popup } = await setup({ sync: { clipboardInterval: 30 } });
+  await paste(page);
+  const response = await popup.chrome.runtime.sendMessage({ type: 'SNOOZE', minutes: 5 });
+  assert.equal(response.success, true);
+  assert.equal(response.snoozedUntil, env.clock.now + 5 * 60000);
+  assert.equal(env.storage.local.snoozedUntil, response.snoozedUntil);
+  assert.equal(env.storage.session.pendingClear, undefined);
+  await env.settle();
+  assert.equal(env.badge.text, 'Zz');
+
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, 'Zz');
+
+  await env.clock.tick(5 * 60000);
+  await env.fireDueAlarms();
+  assert.equal(env.storage.local.snoozedUntil, undefined);
+  assert.equal(env.badge.text, '');
+
+  await paste(page);
+  await env.settle();
+  assert.equal(env.badge.text, '30');
+});
+
+test('a snooze that expired while the browser was closed ends on startup', async () => {
+  const { env, background, popup } = await setup();
+  await popup.chrome.runtime.sendMessage({ type: 'SNOOZE', minutes: 15 });
+  background.terminate();
+  env.alarms.clear();
+
+  await env.clock.tick(20 * 60000);
+  loadBackground(env);
+  await env.settle();
+  assert.equal(env.storage.local.snoozedUntil, undefined);
+  const settings = await popup.chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+  assert.equal(settings.snoozedUntil, 0);
+});
+
+test('a snooze still running after a restart gets its alarm and badge back', async () => {
+  const { env, background, popup } = await setup();
+  await popup.chrome.runtime.sendMessage({ type: 'SNOOZE', minutes: 60 });
+  background.terminate();
+  env.alarms.clear();
+  env.badge.text = '';
+
+  await env.clock.tick(10 * 60000);
+  loadBackground(env);
+  await env.settle();
+  assert.equal(env.badge.text, 'Zz');
+  assert.ok(env.alarms.has('snoozeEnd'));
+});
+
+test('snoozing is available from the action menu and validated', async () => {
+  const { env, popup } = await setup();
+  env.events.installed.dispatch({ reason: 'install' });
+  await env.settle();
+  assert.equal(env.contextMenus.get('snooze-15').parentId, 'snooze');
+  assert.equal(env.contextMenus.get('resume-now').visible, false);
+
+  env.events.menuClicked.dispatch({ menuItemId: 'snooze-15' }, undefined);
+  await env.settle();
+  assert.equal(env.storage.local.snoozedUntil, env.clock.now + 15 * 60000);
+  assert.equal(env.contextMenus.get('resume-now').visible, true);
+
+  env.events.menuClicked.dispatch({ menuItemId: 'resume-now' }, undefined);
+  await env.settle();
+  assert.equal(env.storage.local.snoozedUntil, undefined);
+
+  const invalid = await popup.chrome.runtime.sendMessage({ type: 'SNOOZE', minutes: 7 });
+  assert.deepEqual(invalid, { success: false, error: 'Invalid snooze duration' });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadBackground, loadContentScript, loadPopup, hashText } = require('./helpers/load');
+
+test('leaves chrome untouched in Chrome', async () => {
+  const env = createEnvironment();
+  const tab = env.addTab({ url: 'https://example.com/', active: true });
+  const { window } = loadContentScript(env, undefined, { url: tab.url, tabId: tab.id });
+  assert.equal(window.compat.isFirefox, false);
+  assert.equal(window.compat.hasOffscreen, true);
+  assert.equal(window.chrome, env.contexts.find((c) => c.kind === 'content').chrome);
+});
+
+test('gives Firefox a chrome namespace that takes callbacks or returns promises', async () => {
+  const env = createEnvironment({ browser: 'firefox' });
+  env.storage.sync.clipboardInterval = 15;
+  const tab = env.addTab({ url: 'https://example.com/', active: true });
+  const { window } = loadContentScript(env, undefined, { url: tab.url, tabId: tab.id });
+  const { chrome, compat } = window;
+
+  assert.equal(compat.isFirefox, true);
+  assert.equal(compat.hasOffscreen, false);
+  assert.deepEqual(await chrome.storage.sync.get('clipboardInterval'), { clipboardInterval: 15 });
+
+  const viaCallback = await new Promise((resolve) => {
+    chrome.storage.sync.get('clipboardInterval', (result) => resolve(result));
+  });
+  assert.deepEqual(viaCallback, { clipboardInterval: 15 });
+
+  const lastError = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'PING' }, () => resolve(chrome.runtime.lastError));
+  });
+  assert.match(lastError.message, /Receiving end does not exist/);
+  assert.equal(chrome.runtime.lastError, undefined);
+  assert.equal(chrome.runtime.id, 'fakeextensionid');
+});
+
+test('Firefox clears from the background page and verifies the result', async () => {
+  const env = createEnvironment({ browser: 'firefox' });
+  env.storage.sync.clipboardInterval = 2;
+  const page = env.createContext('content', { tabId: 1, url: 'https://example.com/' });
+  loadBackground(env);
+  await env.settle();
+
+  env.clipboard = 'hunter2';
+  await page.chrome.runtime.sendMessage({ type: 'PASTE_DETECTED', origin: 'https://example.com' });
+  await env.clock.tick(2000);
+
+  assert.equal(env.clipboard, '');
+  const [entry] = env.storage.local.clearHistory;
+  assert.equal(entry.method, 'background-page');
+  assert.equal(entry.verified, true);
+  assert.ok(!env.calls.some((call) => call.api === 'offscreen.createDocument'));
+});
+
+test('Firefox still skips a clear when the clipboard changed', async () => {
+  const env = createEnvironment({ browser: 'firefox' });
+  env.storage.sync.clipboardInterval = 2;
+  const page = env.createContext('content', { tabId: 1, url: 'https://example.com/' });
+  loadBackground(env);
+  await env.settle();
+
+  const { salt } = await page.chrome.runtime.sendMessage({ type: 'GET_HASH_SALT' });
+  env.clipboard = 'hunter2';
+  await page.chrome.runtime.sendMessage({
+    type: 'PASTE_DETECTED',
+    origin: 'https://example.com',
+    contentHash: await hashText(salt, 'hunter2'),
+  });
+  env.clipboard = 'newer';
+  await env.clock.tick(2000);
+
+  assert.equal(env.clipboard, 'newer');
+  assert.equal(env.storage.local.clearHistory[0].status, 'skipped');
+});
+
+test('the popup loads settings through the Firefox shim', async () => {
+  const env = createEnvironment({ browser: 'firefox' });
+  env.storage.sync.clipboardInterval = 33;
+  loadBackground(env);
+  await env.settle();
+  const { document } = await loadPopup(env);
+  assert.equal(document.getElementById('intervalInput').value, '33');
+});
@@ -0,0 +1,233 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadContentScript, hashText } = require('./helpers/load');
+
+const SALT = 'test-salt';
+
+// Content script on a page, with a stand-in background that records messages
+async function setup(html, { browser, url = 'https://example.com/login', frameId = 0 } = {}) {
+  const env = createEnvironment({ browser });
+  const tab = env.addTab({ url: 'https://example.com/login', active: true });
+  const messages = [];
+  const background = env.createContext('extension', { name: 'background' });
+  background.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'GET_HASH_SALT') {
+      sendResponse({ success: true, salt: SALT });
+      return;
+    }
+    messages.push({ message, sender });
+    sendResponse({ success: true });
+  });
+  const page = loadContentScript(env, html, { url, tabId: tab.id, frameId });
+  await env.settle();
+  return { env, tab, page, messages };
+}
+
+function pasteInto(page, element, text) {
+  const event = new page.window.Event('paste', { bubbles: true, cancelable: true });
+  event.clipboardData = { getData: () => text };
+  element.dispatchEvent(event);
+}
+
+const FORM = `<!DOCTYPE html><body>
+  <input id="user" type="email">
+  <input id="pass" type="password">
+  <input id="otp" type="text" autocomplete="one-time-code">
+  <textarea id="notes"></textarea>
+  <div id="editor" contenteditable="true"></div>
+</body>`;
+
+test('a paste into a password field is reported as a password paste', async () => {
+  const { env, page, messages } = await setup(FORM);
+  pasteInto(page, page.document.getElementById('pass'), 'hunter2');
+  await env.settle();
+
+  assert.equal(messages.length, 1);
+  const { message, sender } = messages[0];
+  assert.equal(message.type, 'PASTE_DETECTED');
+  assert.equal(message.isPassword, true);
+  assert.equal(message.origin, 'https://example.com');
+  assert.equal(sender.origin, 'https://example.com');
+  assert.equal(message.contentHash, await hashText(SALT, 'hunter2'));
+});
+
+test('isPasswordField honours autocomplete intents but not ordinary inputs', async () => {
+  const { env, page, messages } = await setup(FORM);
+  // One at a time: hashing finishes in no particular order
+  const pastes = [['otp', '123456'], ['user', 'me@example.com'], ['editor', 'hello']];
+  for (const [id, text] of pastes) {
+    pasteInto(page, page.document.getElementById(id), text);
+    await env.settle();
+  }
+
+  assert.deepEqual(messages.map((m) => m.message.isPassword), [true, false, false]);
+});
+
+test('pastes of images, HTML or files with no text are still reported', async () => {
+  const { env, page, messages } = await setup(FORM);
+  const pasteData = (element, data) => {
+    const event = new page.window.Event('paste', { bubbles: true, cancelable: true });
+    event.clipboardData = { getData: () => '', ...data };
+    element.dispatchEvent(event);
+  };
+  pasteData(page.document.getElementById('notes'), {
+    types: ['Files'],
+    items: [{ kind: 'file', type: 'image/png' }],
+  });
+  pasteData(page.document.getElementById('editor'), { types: ['text/html'] });
+  await env.settle();
+
+  assert.deepEqual(messages.map((m) => m.message.contentTypes), [['Files', 'image/png'], ['text/html']]);
+  assert.equal(messages[0].message.contentHash, null);
+});
+
+test('blank pastes are ignored', async () => {
+  const { env, page, messages } = await setup(FORM);
+  pasteInto(page, page.document.getElementById('user'), '   \n');
+  await env.settle();
+  assert.equal(messages.length, 0);
+});
+
+test('secrets are classified without sending their text', async () => {
+  const { env, page, messages } = await setup(FORM);
+  const token = 'ghp_' + 'a1B2c3D4e5'.repeat(4);
+  pasteInto(page, page.document.getElementById('user'), token);
+  await env.settle();
+
+  const { message } = messages[0];
+  assert.equal(message.isSensitive, true);
+  assert.equal(message.sensitiveKind, 'github-token');
+  assert.ok(!JSON.stringify(message).includes(token));
+});
+
+test('card numbers must pass the Luhn check', async () => {
+  const { env, page, messages } = await setup(FORM);
+  const field = page.document.getElementById('user');
+  pasteInto(page, field, '4111 1111 1111 1111');
+  await env.settle();
+  pasteInto(page, field, '4111 1111 1111 1112');
+  await env.settle();
+
+  assert.deepEqual(messages.map((m) => m.message.sensitiveKind), ['card-number', null]);
+});
+
+test('copying from an input reports the source and a hash', async () => {
+  const { env, page, messages } = await setup(FORM);
+  const field = page.document.getElementById('notes');
+  field.value = 'me@example.com';
+  field.focus();
+  field.select();
+  field.dispatchEvent(new page.window.Event('copy', { bubbles: true }));
+  await env.settle();
+
+  const { message } = messages[0];
+  assert.equal(message.type, 'COPY_DETECTED');
+  assert.equal(message.source, 'input');
+  assert.equal(message.contentHash, await hashText(SALT, 'me@example.com'));
+});
+
+test('CLEAR_CLIPBOARD_REQUEST clears and reports success', async () => {
+  const { env, tab } = await setup(FORM);
+  env.clipboard = 'secret';
+  const response = await env.createContext('extension').chrome.tabs.sendMessage(tab.id, { type: 'CLEAR_CLIPBOARD_REQUEST' });
+  assert.deepEqual(response, { success: true });
+  assert.equal(env.clipboard, '');
+});
+
+test('CLEAR_CLIPBOARD_REQUEST reports failure when every method fails', async () => {
+  const { env, tab } = await setup(FORM);
+  env.clipboard = 'secret';
+  env.clipboardDenied = true;
+  env.execCommandDenied = true;
+  const response = await env.createContext('extension').chrome.tabs.sendMessage(tab.id, { type: 'CLEAR_CLIPBOARD_REQUEST' });
+  assert.equal(response.success, false);
+  assert.equal(env.clipboard, 'secret');
+});
+
+// A login form rendered inside a closed shadow root, as web components do
+function shadowLogin(page) {
+  const host = page.document.createElement('login-form');
+  page.document.body.appendChild(host);
+  const root = host.attachShadow({ mode: 'closed' });
+  root.innerHTML = '<input id="pass" type="password">';
+  const input = root.getElementById('pass');
+  input.focus();
+  return input;
+}
+
+function pasteComposed(page, element, text) {
+  const event = new page.window.Event('paste', { bubbles: true, cancelable: true, composed: true });
+  event.clipboardData = { getData: () => text };
+  element.dispatchEvent(event);
+}
+
+test('password fields inside closed shadow roots are detected', async () => {
+  const { env, page, messages } = await setup(FORM);
+  pasteComposed(page, shadowLogin(page), 'hunter2');
+  await env.settle();
+  assert.equal(messages[0].message.isPassword, true);
+});
+
+test('closed shadow roots are opened the Firefox way too', async () => {
+  const { env, page, messages } = await setup(FORM, { browser: 'firefox' });
+  pasteComposed(page, shadowLogin(page), 'hunter2');
+  await env.settle();
+  assert.equal(messages[0].message.isPassword, true);
+});
+
+test('masked rich editors count as password fields, plain ones do not', async () => {
+  const { env, page, messages } = await setup(`<!DOCTYPE html><body>
+    <div id="pin" contenteditable="true" style="-webkit-text-security: disc"><p id="pinText">1</p></div>
+    <div id="doc" contenteditable="true"><p id="docText">hello</p></div>
+  </body>`);
+  pasteInto(page, page.document.getElementById('pinText').firstChild, '1234');
+  await env.settle();
+  pasteInto(page, page.document.getElementById('docText'), 'hello');
+  await env.settle();
+  assert.deepEqual(messages.map((m) => m.message.isPassword), [true, false]);
+});
+
+test('pastes inside an iframe report the frame origin', async () => {
+  const { env, page, messages } = await setup(FORM, { url: 'https://pay.widget.test/card', frameId: 4 });
+  pasteInto(page, page.document.getElementById('pass'), '4111111111111111');
+  await env.settle();
+
+  const { message, sender } = messages[0];
+  assert.equal(message.origin, 'https://pay.widget.test');
+  assert.equal(sender.frameId, 4);
+  assert.equal(sender.tab.url, 'https://example.com/login');
+});
+
+test('the page toast counts down in a closed shadow root and Keep cancels the clear', async () => {
+  const { env, tab, page, messages } = await setup(FORM);
+  pasteInto(page, page.document.getElementById('pass'), 'hunter2');
+  await env.settle();
+
+  const background = env.createContext('extension');
+  await background.chrome.tabs.sendMessage(tab.id, { type: 'SHOW_PAGE_TOAST', deadline: env.clock.now + 10000 }, { frameId: 0 });
+  const host = page.document.querySelector('cpf-toast');
+  assert.equal(host.shadowRoot, null);
+  assert.equal(host.style.getPropertyValue('position'), 'fixed');
+  const root = env.shadowRoots.get(host);
+  assert.match(root.textContent, /Clipboard clears in 10s/);
+
+  await env.clock.tick(3000);
+  assert.match(root.textContent, /Clipboard clears in 7s/);
+
+  const keep = [...root.querySelectorAll('button')].find((b) => b.textContent === 'Keep');
+  keep.dispatchEvent(new page.window.Event('click'));
+  await env.settle();
+  assert.equal(page.document.querySelector('cpf-toast'), null);
+  assert.equal(messages[messages.length - 1].message.type, 'CANCEL_PENDING_CLEAR');
+});
+
+test('HIDE_PAGE_TOAST removes the toast', async () => {
+  const { env, tab, page } = await setup(FORM);
+  const background = env.createContext('extension');
+  await background.chrome.tabs.sendMessage(tab.id, { type: 'SHOW_PAGE_TOAST', deadline: env.clock.now + 5000 });
+  assert.ok(page.document.querySelector('cpf-toast'));
+  await background.chrome.tabs.sendMessage(tab.id, { type: 'HIDE_PAGE_TOAST' });
+  assert.equal(page.document.querySelector('cpf-toast'), null);
+});
@@ -0,0 +1,548 @@
+// In-memory fake of the chrome.* APIs the extension uses. One environment is
+// shared by every loaded context (background, popup, offscreen, content
+// scripts) so messages, storage and badge state flow between them like they
+// do in the browser. Nothing here touches the network or a real browser.
+
+const fs = require('fs');
+const path = require('path');
+const { FakeClock } = require('./clock');
+
+const EXTENSION_ID = 'fakeextensionid';
+const EXTENSION_ORIGIN = `chrome-extension://${EXTENSION_ID}`;
+const FIREFOX_ORIGIN = `moz-extension://${EXTENSION_ID}`;
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener(fn) { listeners.push(fn); },
+    removeListener(fn) {
+      const index = listeners.indexOf(fn);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener(fn) { return listeners.includes(fn); },
+    dispatch(...args) { return listeners.map((fn) => fn(...args)); },
+  };
+}
+
+// Values crossing a message or storage boundary are serialized in Chrome
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// options.browser: 'chrome' (default) or 'firefox', which has no offscreen
+// documents and a moz-extension:// origin.
+// options.locale: the browser's UI locale, e.g. 'de' or 'pt_BR'.
+// options.locales: message bundles by locale that take the place of the
+// extension's own _locales files.
+function createEnvironment(options = {}) {
+  const firefox = options.browser === 'firefox';
+  const env = {
+    browser: firefox ? 'firefox' : 'chrome',
+    extensionOrigin: firefox ? FIREFOX_ORIGIN : EXTENSION_ORIGIN,
+    locale: options.locale || 'en',
+    locales: options.locales || {},
+    clock: options.clock || new FakeClock(),
+    clipboard: options.clipboard || '',
+    // Non-text formats on the clipboard alongside the text, by MIME type
+    clipboardFormats: {},
+    storage: { sync: {}, local: {}, session: {}, managed: {} },
+    storageChanged: [],
+    contexts: [],
+    tabs: [],
+    windows: [{ id: 1, focused: true, incognito: false }],
+    nextTabId: 100,
+    nextWindowId: 2,
+    badge: { text: '', color: null },
+    badgeHistory: [],
+    alarms: new Map(),
+    contextMenus: new Map(),
+    notifications: new Map(),
+    offscreenOpen: false,
+    // Shadow roots created in any window, including closed ones
+    shadowRoots: new WeakMap(),
+    // Test hooks
+    executeScript: null, // (tabId, func, frameIds) => result
+    offscreenFactory: null, // (env) => context for offscreen.html
+    commands: [
+      { name: 'clear-now', description: 'Clear clipboard now', shortcut: 'Alt+Shift+C' },
+    ],
+    // Browser-wide events shared by every context
+    events: {
+      alarm: createEvent(),
+      command: createEvent(),
+      menuClicked: createEvent(),
+      notificationButton: createEvent(),
+      startup: createEvent(),
+      installed: createEvent(),
+      tabRemoved: createEvent(),
+      tabUpdated: createEvent(),
+      tabActivated: createEvent(),
+      windowRemoved: createEvent(),
+      windowCreated: createEvent(),
+      windowFocusChanged: createEvent(),
+      idleStateChanged: createEvent(),
+    },
+    calls: [],
+  };
+
+  env.addTab = (tab) => {
+    const full = {
+      id: env.nextTabId++,
+      windowId: 1,
+      active: false,
+      incognito: false,
+      ...tab,
+    };
+    env.tabs.push(full);
+    return full;
+  };
+
+  // Register an extension page or content script; returns its chrome object
+  env.createContext = (kind, details = {}) => {
+    const context = {
+      kind,
+      name: details.name || kind,
+      tabId: details.tabId,
+      frameId: details.frameId || 0,
+      url: details.url || `${EXTENSION_ORIGIN}/${kind}.html`,
+      // about:blank frames take their creator's origin
+      origin: details.origin,
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+      ports: [],
+      closed: false,
+    };
+    context.chrome = createChrome(env, context);
+    env.contexts.push(context);
+    return context;
+  };
+
+  env.closeContext = (context) => {
+    context.closed = true;
+    env.contexts = env.contexts.filter((c) => c !== context);
+    context.ports.slice().forEach((port) => port.disconnect());
+    if (context.onClose) context.onClose();
+  };
+
+  env.setManaged = (values) => {
+    const changes = {};
+    Object.keys(values).forEach((key) => {
+      changes[key] = { oldValue: env.storage.managed[key], newValue: clone(values[key]) };
+    });
+    Object.assign(env.storage.managed, clone(values));
+    notifyStorage(env, 'managed', changes);
+  };
+
+  env.settle = () => env.clock.tick(0);
+
+  // Alarms outlive the worker, so they are fired explicitly rather than by clock timers
+  env.fireDueAlarms = () => {
+    [...env.alarms.values()].filter((alarm) => alarm.scheduledTime <= env.clock.now).forEach((alarm) => {
+      env.alarms.delete(alarm.name);
+      env.events.alarm.dispatch(clone(alarm));
+    });
+    return env.settle();
+  };
+
+  // Await a promise that depends on timers, advancing the clock until it settles
+  env.run = async (promise, { step = 100, limit = 60000 } = {}) => {
+    let done = false;
+    const tracked = Promise.resolve(promise).finally(() => { done = true; });
+    for (let elapsed = 0; !done && elapsed < limit; elapsed += step) {
+      await env.clock.tick(step);
+    }
+    return tracked;
+  };
+
+  return env;
+}
+
+function notifyStorage(env, area, changes) {
+  Promise.resolve().then(() => {
+    env.contexts.forEach((context) => {
+      context.storageChanged.dispatch(clone(changes), area);
+    });
+  });
+}
+
+function senderFor(env, context) {
+  if (context.kind === 'content') {
+    const tab = env.tabs.find((t) => t.id === context.tabId);
+    return {
+      id: EXTENSION_ID,
+      tab: clone(tab),
+      frameId: context.frameId,
+      url: context.url,
+      origin: context.origin || new URL(context.url).origin,
+    };
+  }
+  return { id: EXTENSION_ID, url: context.url, origin: env.extensionOrigin };
+}
+
+// Deliver to onMessage listeners; resolves with the first response, like Chrome
+function deliver(contexts, message, sender) {
+  const targets = contexts.filter((context) => context.onMessage.listeners.length);
+  return new Promise((resolve, reject) => {
+    if (!targets.length) {
+      reject(new Error('Could not establish connection. Receiving end does not exist.'));
+      return;
+    }
+    let settled = false;
+    let waiting = false;
+    const sendResponse = (value) => {
+      if (settled) return;
+      settled = true;
+      resolve(clone(value));
+    };
+    targets.forEach((context) => {
+      context.onMessage.listeners.slice().forEach((listener) => {
+        try {
+          if (listener(clone(message), clone(sender), sendResponse) === true) waiting = true;
+        } catch (error) {
+          context.errors = (context.errors || []).concat(error);
+        }
+      });
+    });
+    if (!settled && !waiting) {
+      reject(new Error('The message port closed before a response was received.'));
+    }
+  });
+}
+
+// A connected pair of runtime.Port objects; messages arrive asynchronously and
+// serialized, and disconnecting either end fires onDisconnect on the other
+function createPortPair(name, sender) {
+  const makePort = (portSender) => {
+    const port = {
+      name,
+      sender: portSender,
+      onMessage: createEvent(),
+      onDisconnect: createEvent(),
+      disconnected: false,
+      postMessage(message) {
+        if (port.disconnected) throw new Error('Attempting to use a disconnected port object');
+        const data = clone(message);
+        Promise.resolve().then(() => {
+          if (!port.peer.disconnected) port.peer.onMessage.dispatch(data, port.peer);
+        });
+      },
+      disconnect() {
+        if (port.disconnected) return;
+        port.disconnected = true;
+        port.peer.disconnected = true;
+        Promise.resolve().then(() => port.peer.onDisconnect.dispatch(port.peer));
+      },
+    };
+    return port;
+  };
+  const local = makePort(undefined);
+  const remote = makePort(clone(sender));
+  local.peer = remote;
+  remote.peer = local;
+  return { local, remote };
+}
+
+function createChrome(env, context) {
+  const runtime = {
+    id: EXTENSION_ID,
+    lastError: undefined,
+  };
+
+  // chrome.* methods accept a trailing callback or return a promise
+  const api = (impl) => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    // browser.* in Firefox is promise-only
+    if (callback && env.browser === 'firefox') {
+      throw new Error('Incorrect argument types: callbacks are not supported');
+    }
+    const promise = Promise.resolve().then(() => impl(...args));
+    if (!callback) return promise;
+    promise.then(
+      (result) => invoke(callback, undefined, result),
+      (error) => invoke(callback, { message: error.message })
+    );
+    return undefined;
+  };
+  const invoke = (callback, lastError, result) => {
+    runtime.lastError = lastError;
+    try {
+      callback(result);
+    } finally {
+      runtime.lastError = undefined;
+    }
+  };
+
+  context.storageChanged = createEvent();
+
+  const storageArea = (area) => ({
+    get: api((keys) => {
+      const data = env.storage[area];
+      if (keys === null || keys === undefined) return clone(data);
+      const list = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      list.forEach((key) => {
+        if (key in data) result[key] = clone(data[key]);
+        else if (keys && typeof keys === 'object' && !Array.isArray(keys)) result[key] = keys[key];
+      });
+      return result;
+    }),
+    set: api((items) => {
+      if (area === 'managed') throw new Error('storage.managed is read-only');
+      const changes = {};
+      Object.keys(items).forEach((key) => {
+        changes[key] = { oldValue: clone(env.storage[area][key]), newValue: clone(items[key]) };
+        env.storage[area][key] = clone(items[key]);
+      });
+      notifyStorage(env, area, changes);
+    }),
+    remove: api((keys) => {
+      const changes = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+        if (key in env.storage[area]) {
+          changes[key] = { oldValue: env.storage[area][key] };
+          delete env.storage[area][key];
+        }
+      });
+      if (Object.keys(changes).length) notifyStorage(env, area, changes);
+    }),
+    clear: api(() => {
+      env.storage[area] = {};
+    }),
+  });
+
+  Object.assign(runtime, {
+    onMessage: context.onMessage,
+    onConnect: context.onConnect,
+    // Connects to the first extension context listening for connections
+    connect: ({ name = '' } = {}) => {
+      const { local, remote } = createPortPair(name, senderFor(env, context));
+      const target = env.contexts.find((c) => c !== context && c.kind !== 'content' && !c.closed &&
+        c.onConnect.listeners.length);
+      if (!target) {
+        local.disconnected = true;
+        Promise.resolve().then(() => local.onDisconnect.dispatch(local));
+        return local;
+      }
+      context.ports.push(local);
+      target.ports.push(remote);
+      const forget = () => {
+        context.ports = context.ports.filter((p) => p !== local);
+        target.ports = target.ports.filter((p) => p !== remote);
+      };
+      local.onDisconnect.addListener(forget);
+      remote.onDisconnect.addListener(forget);
+      target.onConnect.dispatch(remote);
+      return local;
+    },
+    onStartup: env.events.startup,
+    onInstalled: env.events.installed,
+    getURL: (path) => `${env.extensionOrigin}/${path.replace(/^\//, '')}`,
+    getManifest: () => require('../../manifest.json'),
+    // Opens in a tab, as "open_in_tab" asks
+    openOptionsPage: api(() => {
+      env.calls.push({ api: 'runtime.openOptionsPage' });
+      env.addTab({ url: runtime.getURL('options.html'), active: true });
+    }),
+    sendMessage: api((message) => {
+      const targets = env.contexts.filter((c) => c !== context && c.kind !== 'content' && !c.closed);
+      return deliver(targets, message, senderFor(env, context));
+    }),
+  });
+
+  const chrome = {
+    runtime,
+    storage: {
+      sync: storageArea('sync'),
+      local: storageArea('local'),
+      session: storageArea('session'),
+      managed: storageArea('managed'),
+      onChanged: context.storageChanged,
+    },
+    tabs: {
+      query: api((query = {}) => env.tabs.filter((tab) => {
+        if (query.active !== undefined && tab.active !== query.active) return false;
+        if (query.currentWindow && tab.windowId !== 1) return false;
+        if (query.windowId !== undefined && tab.windowId !== query.windowId) return false;
+        return true;
+      }).map(clone)),
+      get: api((tabId) => {
+        const tab = env.tabs.find((t) => t.id === tabId);
+        if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+        return clone(tab);
+      }),
+      create: api((props) => {
+        env.calls.push({ api: 'tabs.create', url: props.url });
+        return clone(env.addTab({ url: props.url, active: props.active !== false }));
+      }),
+      remove: api((tabId) => {
+        env.tabs = env.tabs.filter((t) => t.id !== tabId);
+        env.events.tabRemoved.dispatch(tabId, { windowId: 1, isWindowClosing: false });
+      }),
+      sendMessage: api((tabId, message, options = {}) => {
+        env.calls.push({ api: 'tabs.sendMessage', tabId, type: message && message.type });
+        const targets = env.contexts.filter((c) => c.kind === 'content' && c.tabId === tabId &&
+          (options.frameId === undefined || c.frameId === options.frameId));
+        return deliver(targets, message, senderFor(env, context));
+      }),
+      onRemoved: env.events.tabRemoved,
+      onUpdated: env.events.tabUpdated,
+      onActivated: env.events.tabActivated,
+    },
+    windows: {
+      WINDOW_ID_NONE: -1,
+      getAll: api(() => env.windows.map(clone)),
+      get: api((windowId) => clone(env.windows.find((w) => w.id === windowId))),
+      create: api((props) => {
+        env.calls.push({ api: 'windows.create', url: props.url });
+        const win = { id: env.nextWindowId++, focused: Boolean(props.focused), incognito: Boolean(props.incognito) };
+        env.windows.push(win);
+        return clone(win);
+      }),
+      remove: api((windowId) => {
+        env.windows = env.windows.filter((w) => w.id !== windowId);
+        env.events.windowRemoved.dispatch(windowId);
+      }),
+      onRemoved: env.events.windowRemoved,
+      onCreated: env.events.windowCreated,
+      onFocusChanged: env.events.windowFocusChanged,
+    },
+    scripting: {
+      executeScript: api(({ target, func, args = [] }) => {
+        env.calls.push({ api: 'scripting.executeScript', tabId: target.tabId, func: func.name });
+        const tab = env.tabs.find((t) => t.id === target.tabId);
+        if (!tab) throw new Error(`No tab with id: ${target.tabId}`);
+        if (/^(chrome|edge|about|chrome-extension):/.test(tab.url)) {
+          throw new Error('Cannot access contents of the page.');
+        }
+        const result = env.executeScript ? env.executeScript(target.tabId, func, target.frameIds, args) : undefined;
+        return Promise.resolve(result).then((value) => [{ frameId: 0, result: clone(value) }]);
+      }),
+    },
+    action: {
+      setBadgeText: api(({ text }) => {
+        env.badge.text = text;
+        env.badgeHistory.push(text);
+      }),
+      setBadgeBackgroundColor: api(({ color }) => {
+        env.badge.color = color;
+      }),
+      getBadgeText: api(() => env.badge.text),
+      setTitle: api(() => {}),
+    },
+    alarms: {
+      create: api((name, info) => {
+        env.alarms.set(name, { name, scheduledTime: info.when || env.clock.now + (info.delayInMinutes || 0) * 60000 });
+      }),
+      clear: api((name) => env.alarms.delete(name)),
+      get: api((name) => clone(env.alarms.get(name))),
+      getAll: api(() => [...env.alarms.values()].map(clone)),
+      onAlarm: env.events.alarm,
+    },
+    offscreen: {
+      createDocument: api(({ url }) => {
+        if (env.offscreenOpen) throw new Error('Only a single offscreen document may be created.');
+        env.calls.push({ api: 'offscreen.createDocument', url });
+        env.offscreenOpen = true;
+        env.offscreenContext = env.offscreenFactory ? env.offscreenFactory(env) : null;
+      }),
+      hasDocument: api(() => env.offscreenOpen),
+      closeDocument: api(() => {
+        if (!env.offscreenOpen) throw new Error('No current offscreen document.');
+        env.offscreenOpen = false;
+        if (env.offscreenContext) env.closeContext(env.offscreenContext);
+        env.offscreenContext = null;
+      }),
+    },
+    commands: {
+      getAll: api(() => env.commands.map(clone)),
+      onCommand: env.events.command,
+    },
+    contextMenus: {
+      create: (props, callback) => {
+        env.contextMenus.set(props.id, clone(props));
+        if (callback) Promise.resolve().then(callback);
+        return props.id;
+      },
+      update: api((id, props) => {
+        if (!env.contextMenus.has(id)) throw new Error(`Cannot find menu item with id ${id}`);
+        Object.assign(env.contextMenus.get(id), clone(props));
+      }),
+      remove: api((id) => env.contextMenus.delete(id)),
+      removeAll: api(() => env.contextMenus.clear()),
+      onClicked: env.events.menuClicked,
+    },
+    notifications: {
+      create: api((id, options) => {
+        env.notifications.set(id, clone(options));
+        return id;
+      }),
+      clear: api((id) => env.notifications.delete(id)),
+      onButtonClicked: env.events.notificationButton,
+      onClicked: createEvent(),
+      onClosed: createEvent(),
+    },
+    idle: {
+      setDetectionInterval: () => {},
+      queryState: api(() => 'active'),
+      onStateChanged: env.events.idleStateChanged,
+    },
+    i18n: {
+      getMessage: (name, substitutions) => getMessage(env, name, substitutions),
+      getUILanguage: () => env.locale.replace('_', '-'),
+    },
+    dom: {
+      openOrClosedShadowRoot: (element) => env.shadowRoots.get(element) || null,
+    },
+  };
+  if (env.browser === 'firefox') {
+    delete chrome.offscreen;
+    delete chrome.dom;
+  }
+  return chrome;
+}
+
+// chrome.i18n.getMessage: the UI locale's bundle, then its language's, then
+// the default locale's. Unknown messages are empty strings.
+const LOCALES_DIR = path.join(__dirname, '..', '..', '_locales');
+const DEFAULT_LOCALE = 'en';
+const bundleCache = new Map();
+
+function readBundle(env, locale) {
+  if (env.locales[locale]) return env.locales[locale];
+  if (!bundleCache.has(locale)) {
+    const file = path.join(LOCALES_DIR, locale, 'messages.json');
+    bundleCache.set(locale, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+  }
+  return bundleCache.get(locale);
+}
+
+function getMessage(env, name, substitutions) {
+  if (name === '@@ui_locale') return env.locale;
+  if (name === '@@bidi_dir') return /^(ar|fa|he|ur)(_|$)/.test(env.locale) ? 'rtl' : 'ltr';
+  if (name === '@@extension_id') return EXTENSION_ID;
+  const args = substitutions === undefined ? [] : [].concat(substitutions).map(String);
+  const key = String(name).toLowerCase();
+  for (const locale of [env.locale, env.locale.split('_')[0], DEFAULT_LOCALE]) {
+    const bundle = readBundle(env, locale);
+    const found = Object.keys(bundle).find((k) => k.toLowerCase() === key);
+    if (found) return formatMessage(bundle[found], args);
+  }
+  return '';
+}
+
+// $NAME$ expands to its placeholder's content, then $1-$9 to the arguments
+function formatMessage(entry, args) {
+  const placeholders = {};
+  Object.keys(entry.placeholders || {}).forEach((name) => {
+    placeholders[name.toLowerCase()] = entry.placeholders[name].content;
+  });
+  return entry.message
+    .replace(/\$([a-z0-9_@]+)\$/gi, (match, name) => {
+      const content = placeholders[name.toLowerCase()];
+      return content === undefined ? match : content;
+    })
+    .replace(/\$(\$|[1-9])/g, (match, ref) => (ref === '$' ? '$' : (args[ref - 1] || '')));
+}
+
+module.exports = { createEnvironment, createEvent, EXTENSION_ID, EXTENSION_ORIGIN };
@@ -0,0 +1,92 @@
+// Deterministic clock shared by every loaded context. Replaces setTimeout,
+// setInterval and Date.now so countdowns can be driven from tests.
+
+const realSetTimeout = setTimeout;
+
+class FakeClock {
+  constructor(start = Date.UTC(2026, 0, 1, 12, 0, 0)) {
+    this.now = start;
+    this.timers = new Map();
+    this.nextId = 1;
+  }
+
+  setTimeout(fn, ms = 0, ...args) {
+    const id = this.nextId++;
+    this.timers.set(id, { fn, args, at: this.now + Math.max(0, Number(ms) || 0), every: null });
+    return id;
+  }
+
+  setInterval(fn, ms = 0, ...args) {
+    const id = this.nextId++;
+    const every = Math.max(1, Number(ms) || 0);
+    this.timers.set(id, { fn, args, at: this.now + every, every });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  // Timer functions bound for installing into a context's globals
+  globals() {
+    const clock = this;
+    class FakeDate extends Date {
+      constructor(...args) {
+        if (args.length) super(...args);
+        else super(clock.now);
+      }
+
+      static now() {
+        return clock.now;
+      }
+    }
+    return {
+      setTimeout: this.setTimeout.bind(this),
+      setInterval: this.setInterval.bind(this),
+      clearTimeout: this.clearTimeout.bind(this),
+      clearInterval: this.clearInterval.bind(this),
+      Date: FakeDate,
+    };
+  }
+
+  // Advance time, running due timers in order and settling async work after each
+  async tick(ms) {
+    const end = this.now + ms;
+    await settle();
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.at <= end && (!next || timer.at < next.at)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (!next) break;
+      this.now = next.at;
+      if (next.every) {
+        next.at += next.every;
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.fn(...next.args);
+      await settle();
+    }
+    this.now = end;
+    await settle();
+  }
+}
+
+// Let pending promise chains (including WebCrypto work off the main thread) finish
+async function settle(rounds = 5) {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+    await new Promise((resolve) => realSetTimeout(resolve, 1));
+  }
+}
+
+module.exports = { FakeClock, settle };
@@ -0,0 +1,285 @@
+// Loads the extension's scripts unmodified into isolated contexts wired to a
+// shared chrome fake: the service worker into a vm context, pages and content
+// scripts into jsdom windows.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+// Collects console output instead of printing it so test runs stay readable
+function createConsole(env, name) {
+  env.logs = env.logs || [];
+  const record = (level) => (...args) => env.logs.push({ context: name, level, args });
+  return { log: record('log'), info: record('info'), warn: record('warn'), error: record('error'), debug: record('debug') };
+}
+
+function loadBackground(env, { startup = true } = {}) {
+  if (env.browser === 'firefox') return loadBackgroundPage(env, { startup });
+  const context = env.createContext('extension', { name: 'background', url: `${env.extensionOrigin}/background.js` });
+  const sandbox = {
+    chrome: context.chrome,
+    console: createConsole(env, 'background'),
+    crypto: webcrypto,
+    URL,
+    TextEncoder,
+    structuredClone,
+    ...env.clock.globals(),
+  };
+  sandbox.self = sandbox;
+  sandbox.importScripts = (...files) => {
+    files.forEach((file) => vm.runInContext(readSource(file), sandbox, { filename: file }));
+  };
+  vm.createContext(sandbox);
+  vm.runInContext(readSource('background.js'), sandbox, { filename: 'background.js' });
+  if (startup) env.events.startup.dispatch();
+  return {
+    context,
+    // Evaluate an expression inside the worker, e.g. to read top-level state
+    eval: (code) => vm.runInContext(code, sandbox),
+    // Simulate the worker being suspended: drop its listeners and timers
+    terminate: () => {
+      env.closeContext(context);
+      Object.values(env.events).forEach((event) => {
+        event.listeners.length = 0;
+      });
+      env.clock.timers.clear();
+    },
+  };
+}
+
+// Firefox runs the background scripts listed in the manifest in an event page
+function loadBackgroundPage(env, { startup = true } = {}) {
+  const context = env.createContext('extension', { name: 'background', url: `${env.extensionOrigin}/_generated_background_page.html` });
+  const dom = createWindow(env, '<!DOCTYPE html><body></body>', { url: context.url, name: 'background' });
+  installApi(env, dom.window, context);
+  const manifest = JSON.parse(readSource('manifest.firefox.json'));
+  manifest.background.scripts.forEach((file) => dom.window.eval(readSource(file)));
+  if (startup) env.events.startup.dispatch();
+  return {
+    context,
+    window: dom.window,
+    eval: (code) => dom.window.eval(code),
+    terminate: () => {
+      env.closeContext(context);
+      Object.values(env.events).forEach((event) => {
+        event.listeners.length = 0;
+      });
+      env.clock.timers.clear();
+    },
+  };
+}
+
+// Firefox exposes the promise-based `browser` namespace; compat.js builds
+// `chrome` from it. Chrome pages get `chrome` directly.
+function installApi(env, window, context) {
+  if (env.browser === 'firefox') {
+    window.browser = context.chrome;
+  } else {
+    window.chrome = context.chrome;
+  }
+}
+
+// Installs the pieces of the browser DOM the scripts rely on but jsdom lacks
+function createWindow(env, html, { url, name }) {
+  const virtualConsole = new VirtualConsole();
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  Object.assign(window, env.clock.globals());
+  window.console = createConsole(env, name);
+  window.TextEncoder = TextEncoder;
+  // jsdom's Blob cannot be read back; ClipboardItems need Blob#text()
+  window.Blob = Blob;
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  window.ClipboardItem = class ClipboardItem {
+    constructor(items) {
+      this.items = items;
+      this.types = Object.keys(items);
+    }
+    async getType(type) {
+      return this.items[type];
+    }
+  };
+  const clipboardTypes = () => (env.clipboard ? ['text/plain'] : []).concat(Object.keys(env.clipboardFormats));
+  Object.defineProperty(window.navigator, 'clipboard', {
+    configurable: true,
+    value: {
+      // A text write leaves other formats behind, as on the platforms that
+      // motivated writing whole ClipboardItems instead
+      writeText: async (text) => {
+        if (env.clipboardDenied) throw new Error('Document is not focused.');
+        env.clipboard = String(text);
+      },
+      readText: async () => env.clipboard,
+      // Replaces every format with the items given
+      write: async (items) => {
+        if (env.clipboardDenied) throw new Error('Document is not focused.');
+        const [item] = items;
+        const text = item.types.includes('text/plain') ? await (await item.getType('text/plain')).text() : '';
+        env.clipboard = text;
+        env.clipboardFormats = {};
+        item.types.filter((type) => type !== 'text/plain').forEach((type) => {
+          env.clipboardFormats[type] = true;
+        });
+      },
+      read: async () => {
+        if (env.clipboardReadDenied) throw new Error('Read permission denied.');
+        const items = {};
+        clipboardTypes().forEach((type) => {
+          items[type] = new window.Blob([type === 'text/plain' ? env.clipboard : ''], { type });
+        });
+        return [new window.ClipboardItem(items)];
+      },
+    },
+  });
+  // execCommand against the shared system clipboard
+  window.document.execCommand = (command) => {
+    const { document } = window;
+    if (command === 'paste') {
+      if (env.clipboardReadDenied) return false;
+      const field = document.activeElement;
+      const event = new window.Event('paste', { bubbles: true, cancelable: true });
+      event.clipboardData = {
+        types: clipboardTypes(),
+        getData: (type) => (type === 'text/plain' || type === 'text' ? env.clipboard : ''),
+      };
+      (field || document).dispatchEvent(event);
+      if (!event.defaultPrevented && field && 'value' in field) field.value = env.clipboard;
+      return true;
+    }
+    if (command === 'copy') {
+      if (env.execCommandDenied) return false;
+      let data = null;
+      const event = new window.Event('copy', { bubbles: true, cancelable: true });
+      event.clipboardData = { setData: (type, value) => { data = value; } };
+      document.dispatchEvent(event);
+      // A copy replaces every format on the clipboard
+      env.clipboardFormats = {};
+      if (event.defaultPrevented && data !== null) {
+        env.clipboard = data;
+      } else {
+        const field = document.activeElement;
+        if (field && 'value' in field) {
+          env.clipboard = field.value.slice(field.selectionStart, field.selectionEnd);
+        }
+      }
+      return true;
+    }
+    return false;
+  };
+  window.close = () => { window.closed = true; };
+  // Record shadow roots so the fake chrome.dom can open closed ones
+  const attachShadow = window.Element.prototype.attachShadow;
+  window.Element.prototype.attachShadow = function(init) {
+    const root = attachShadow.call(this, init);
+    env.shadowRoots.set(this, root);
+    return root;
+  };
+  if (env.browser === 'firefox') {
+    Object.defineProperty(window.Element.prototype, 'openOrClosedShadowRoot', {
+      configurable: true,
+      get() { return env.shadowRoots.get(this) || null; },
+    });
+  }
+  if (!('isContentEditable' in window.HTMLElement.prototype)) {
+    Object.defineProperty(window.HTMLElement.prototype, 'isContentEditable', {
+      configurable: true,
+      get() {
+        const host = this.closest('[contenteditable]');
+        return Boolean(host) && host.getAttribute('contenteditable') !== 'false';
+      },
+    });
+  }
+  return dom;
+}
+
+function loadOffscreen(env, { hash = '' } = {}) {
+  const context = env.createContext('extension', { name: 'offscreen', url: `${env.extensionOrigin}/offscreen.html${hash}` });
+  const dom = createWindow(env, readSource('offscreen.html'), { url: context.url, name: 'offscreen' });
+  installApi(env, dom.window, context);
+  dom.window.eval(readSource('compat.js'));
+  dom.window.eval(readSource('clipboard-utils.js'));
+  dom.window.eval(readSource('offscreen.js'));
+  context.onClose = () => dom.window.close();
+  return { context, window: dom.window };
+}
+
+function loadContentScript(env, html = '<!DOCTYPE html><body></body>', { url = 'https://example.com/', tabId, frameId = 0, origin } = {}) {
+  const context = env.createContext('content', { tabId, frameId, url, origin });
+  const dom = createWindow(env, html, { url, name: `content:${tabId}` });
+  installApi(env, dom.window, context);
+  dom.window.eval(readSource('compat.js'));
+  dom.window.eval(readSource('clipboard-utils.js'));
+  dom.window.eval(readSource('content.js'));
+  return { context, window: dom.window, document: dom.window.document };
+}
+
+// Extension pages run the scripts their HTML lists, in order
+async function loadPage(env, page) {
+  const name = page.replace(/\.html$/, '');
+  const context = env.createContext('extension', { name, url: `${env.extensionOrigin}/${page}` });
+  const dom = createWindow(env, readSource(page), { url: context.url, name });
+  installApi(env, dom.window, context);
+  dom.window.confirm = () => true;
+  dom.window.document.querySelectorAll('script[src]').forEach((script) => {
+    dom.window.eval(readSource(script.getAttribute('src')));
+  });
+  // jsdom fires DOMContentLoaded itself once parsing finishes; firing it again
+  // would run the page script twice
+  if (dom.window.document.readyState === 'loading') {
+    await new Promise((resolve) => dom.window.document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+  } else {
+    dom.window.document.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
+  }
+  await env.settle();
+  return { context, window: dom.window, document: dom.window.document };
+}
+
+function loadPopup(env) {
+  return loadPage(env, 'popup.html');
+}
+
+function loadOptions(env) {
+  return loadPage(env, 'options.html');
+}
+
+// Runs functions passed to scripting.executeScript inside a throwaway page,
+// the way Chrome serializes and injects them
+function installPageScripting(env) {
+  env.executeScript = (tabId, func, frameIds, args) => {
+    const tab = env.tabs.find((t) => t.id === tabId);
+    const dom = createWindow(env, '<!DOCTYPE html><body></body>', { url: tab.url, name: `page:${tabId}` });
+    const injected = dom.window.eval(`(${func.toString()})`);
+    return injected(...(args || []));
+  };
+}
+
+// Wire offscreen.createDocument to the real offscreen page
+function installOffscreen(env) {
+  env.offscreenFactory = () => loadOffscreen(env).context;
+}
+
+// Hash text the same way clipboard-utils.js does
+async function hashText(salt, text) {
+  const data = new TextEncoder().encode(salt + '\u0000' + text.replace(/\r\n?/g, '\n'));
+  const digest = await webcrypto.subtle.digest('SHA-256', data);
+  return Buffer.from(digest).toString('hex');
+}
+
+module.exports = {
+  loadBackground,
+  loadOffscreen,
+  loadContentScript,
+  loadPopup,
+  loadOptions,
+  installPageScripting,
+  installOffscreen,
+  hashText,
+};
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadBackground, loadPopup, installOffscreen, installPageScripting } = require('./helpers/load');
+
+const ROOT = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+const english = JSON.parse(read('_locales/en/messages.json'));
+
+// A partial right-to-left translation, as a new locale would start out
+const HEBREW = {
+  languageTag: { message: 'he' },
+  textDirection: { message: 'rtl' },
+  extensionEnabled: { message: 'התוסף פעיל' },
+  snoozedUntil: { message: 'הניקוי מושהה עד $TIME$', placeholders: { time: { content: '$1' } } },
+};
+
+async function openPopup(options) {
+  const env = createEnvironment(options);
+  installOffscreen(env);
+  installPageScripting(env);
+  env.addTab({ url: 'https://example.com/', active: true });
+  loadBackground(env);
+  await env.settle();
+  const popup = await loadPopup(env);
+  return { env, document: popup.document, window: popup.window };
+}
+
+test('every message the extension refers to exists in the default locale', () => {
+  const used = new Set();
+  const collect = (source, pattern) => {
+    for (const match of source.matchAll(pattern)) {
+      // Every quoted name in the call's arguments, e.g. both sides of a ternary
+      for (const name of match[1].matchAll(/'(\w+)'/g)) used.add(name[1]);
+    }
+  };
+  ['manifest.json', 'manifest.firefox.json'].forEach((file) => {
+    for (const match of read(file).matchAll(/__MSG_(\w+)__/g)) used.add(match[1]);
+  });
+  ['popup.js', 'options.js', 'page-utils.js', 'background.js', 'i18n.js'].forEach((file) => collect(read(file), /\bt\(([^)]*)\)/g));
+  collect(read('content.js'), /getMessage\(([^)]*)\)/g);
+  ['popup.html', 'options.html'].forEach((file) => {
+    for (const match of read(file).matchAll(/data-i18n(?:-[a-z-]+)?="(\w+)"/g)) used.add(match[1]);
+  });
+
+  const missing = [...used].filter((key) => !english[key]);
+  assert.deepEqual(missing, []);
+  assert.ok(used.size > 100);
+});
+
+test('every locale translates known messages and defines the placeholders it uses', () => {
+  fs.readdirSync(path.join(ROOT, '_locales')).forEach((locale) => {
+    const messages = JSON.parse(read(`_locales/${locale}/messages.json`));
+    Object.keys(messages).forEach((key) => {
+      assert.ok(english[key], `${locale}: ${key} is not an English message`);
+      const defined = Object.keys(messages[key].placeholders || {});
+      for (const match of messages[key].message.matchAll(/\$(\w+)\$/g)) {
+        assert.ok(defined.includes(match[1].toLowerCase()), `${locale}: ${key} uses undefined $${match[1]}$`);
+      }
+    });
+  });
+});
+
+test('the popup is English, left to right, by default', async () => {
+  const { document } = await openPopup();
+  assert.equal(document.documentElement.dir, 'ltr');
+  assert.equal(document.documentElement.lang, 'en');
+  assert.equal(document.getElementById('toggleText').textContent, 'Extension Enabled');
+  assert.equal(document.getElementById('incognitoIntervalInput').placeholder, 'Same as normal windows');
+});
+
+test('a right-to-left translation flips the popup and falls back to English per message', async () => {
+  const { env, document, window } = await openPopup({ locale: 'he', locales: { he: HEBREW } });
+  assert.equal(document.documentElement.dir, 'rtl');
+  assert.equal(document.documentElement.lang, 'he');
+  assert.equal(document.getElementById('toggleText').textContent, 'התוסף פעיל');
+  assert.equal(document.querySelector('[data-i18n="snoozeTitle"]').textContent, 'Snooze');
+
+  document.querySelector('.snooze-btn[data-minutes="15"]').dispatchEvent(new window.Event('click'));
+  await env.settle();
+  assert.match(document.getElementById('snoozeText').textContent, /^הניקוי מושהה עד /);
+});
+
+test('a browser language with no translation keeps English left to right', async () => {
+  const { document } = await openPopup({ locale: 'ar' });
+  assert.equal(document.documentElement.dir, 'ltr');
+  assert.equal(document.documentElement.lang, 'en');
+  assert.equal(document.getElementById('toggleText').textContent, 'Extension Enabled');
+});
+
+test('the background localizes its badge and menus', async () => {
+  const env = createEnvironment({ locale: 'de', locales: { de: { badgeOff: { message: 'AUS' }, menuSnoozeMinutes: { message: '$1 Minuten' } } } });
+  loadBackground(env);
+  await env.settle();
+  env.events.installed.dispatch({ reason: 'install' });
+  await env.settle();
+  assert.equal(env.contextMenus.get('snooze-15').title, '15 Minuten');
+  assert.equal(env.contextMenus.get('snooze-60').title, 'For 1 hour');
+
+  const popup = env.createContext('extension', { name: 'popup' });
+  await popup.chrome.runtime.sendMessage({ type: 'TOGGLE_EXTENSION', enabled: false });
+  assert.equal(env.badge.text, 'AUS');
+});
+
+test('errors the background reports to the pages are localized', async () => {
+  const env = createEnvironment({
+    locale: 'de',
+    locales: { de: { errorManaged: { message: 'Von Ihrer Organisation verwaltet' }, errorInvalidSettings: { message: 'Ungültige Einstellungen: $1' } } },
+  });
+  env.storage.managed.clipboardInterval = 8;
+  loadBackground(env);
+  await env.settle();
+
+  const popup = env.createContext('extension', { name: 'popup' });
+  const locked = await popup.chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', interval: 20 });
+  assert.equal(locked.error, 'Von Ihrer Organisation verwaltet');
+  const invalid = await popup.chrome.runtime.sendMessage({
+    type: 'IMPORT_SETTINGS',
+    profile: { format: 'copy-paste-forget-settings', version: 1, settings: { clearTrigger: 'sometimes' } },
+  });
+  assert.equal(invalid.error, 'Ungültige Einstellungen: clearTrigger');
+  const snooze = await popup.chrome.runtime.sendMessage({ type: 'SNOOZE', minutes: 7 });
+  assert.equal(snooze.error, 'Invalid snooze duration');
+});
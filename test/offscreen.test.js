@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadOffscreen, hashText } = require('./helpers/load');
+
+async function setup(clipboard) {
+  const env = createEnvironment({ clipboard });
+  loadOffscreen(env);
+  const background = env.createContext('extension', { name: 'background' });
+  await env.settle();
+  return { env, send: (message) => background.chrome.runtime.sendMessage(message) };
+}
+
+test('answers pings', async () => {
+  const { send } = await setup('');
+  assert.deepEqual(await send({ type: 'OFFSCREEN_PING' }), { success: true });
+});
+
+test('clears the clipboard on request', async () => {
+  const { env, send } = await setup('secret');
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CLEAR_CLIPBOARD' }), { success: true });
+  assert.equal(env.clipboard, '');
+});
+
+test('falls back to a copy event when the async clipboard API is refused', async () => {
+  const { env, send } = await setup('secret');
+  env.clipboardDenied = true;
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CLEAR_CLIPBOARD' }), { success: true });
+  assert.equal(env.clipboard, '');
+});
+
+test('reports emptiness without returning the clipboard text', async () => {
+  const { env, send } = await setup('secret');
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CHECK_CLIPBOARD_EMPTY' }), { success: true, empty: false, types: ['text/plain'] });
+  env.clipboard = ' ';
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CHECK_CLIPBOARD_EMPTY' }), { success: true, empty: true, types: ['text/plain'] });
+});
+
+test('images and other formats count as content and are listed by type', async () => {
+  const { env, send } = await setup('');
+  env.clipboardFormats = { 'image/png': true, 'text/html': true };
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CHECK_CLIPBOARD_EMPTY' }), {
+    success: true,
+    empty: false,
+    types: ['image/png', 'text/html'],
+  });
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CLIPBOARD_TYPES' }), { success: true, types: ['image/png', 'text/html'] });
+});
+
+test('clearing writes an empty item that replaces every format', async () => {
+  const { env, send } = await setup('secret');
+  env.clipboardFormats = { 'image/png': true };
+  assert.deepEqual(await send({ type: 'OFFSCREEN_CLEAR_CLIPBOARD' }), { success: true });
+  assert.equal(env.clipboard, '');
+  assert.deepEqual(env.clipboardFormats, {});
+});
+
+test('hashes the clipboard the same way the content script does', async () => {
+  const { send } = await setup('line one\r\nline two');
+  const response = await send({ type: 'OFFSCREEN_HASH_CLIPBOARD', salt: 'abc' });
+  assert.equal(response.hash, await hashText('abc', 'line one\nline two'));
+});
+
+test('fails the hash request when the clipboard cannot be read', async () => {
+  const { env, send } = await setup('secret');
+  env.clipboardReadDenied = true;
+  const response = await send({ type: 'OFFSCREEN_HASH_CLIPBOARD', salt: 'abc' });
+  assert.equal(response.success, false);
+});
+
+test('clears on load only when opened with #clear', async () => {
+  const env = createEnvironment({ clipboard: 'secret' });
+  loadOffscreen(env);
+  await env.settle();
+  assert.equal(env.clipboard, 'secret');
+
+  const { window } = loadOffscreen(env, { hash: '#clear' });
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(window.closed, true);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadBackground, loadOptions, loadPopup, installOffscreen, installPageScripting } = require('./helpers/load');
+
+async function setup({ sync = {}, managed = {} } = {}) {
+  const env = createEnvironment();
+  Object.assign(env.storage.sync, sync);
+  Object.assign(env.storage.managed, managed);
+  installOffscreen(env);
+  installPageScripting(env);
+  env.addTab({ url: 'https://example.com/', active: true });
+  loadBackground(env);
+  await env.settle();
+  const options = await loadOptions(env);
+  return { env, document: options.document, window: options.window };
+}
+
+function change(window, element, value) {
+  if (typeof value === 'boolean') element.checked = value;
+  else element.value = value;
+  element.dispatchEvent(new window.Event('change'));
+}
+
+function click(window, element) {
+  element.dispatchEvent(new window.Event('click'));
+}
+
+test('every section shows the stored settings and saves through the background', async () => {
+  const { env, window, document } = await setup({
+    sync: { clipboardInterval: 42, clearTrigger: 'both', clearOnIdle: true, incognitoClipboardInterval: 5, notifyOnClear: true },
+  });
+  assert.equal(document.getElementById('intervalInput').value, '42');
+  assert.equal(document.getElementById('passwordIntervalInput').value, '');
+  assert.equal(document.getElementById('incognitoIntervalInput').value, '5');
+  assert.equal(document.getElementById('triggerSelect').value, 'both');
+  assert.equal(document.getElementById('clearOnIdleToggle').checked, true);
+  assert.equal(document.getElementById('notifyClearedToggle').checked, true);
+  assert.equal(document.getElementById('sensitiveToggle').checked, true);
+
+  change(window, document.getElementById('incognitoCloseToggle'), false);
+  change(window, document.getElementById('triggerSelect'), 'copy');
+  change(window, document.getElementById('passwordIntervalInput'), '0');
+  await env.settle();
+  assert.equal(env.storage.sync.clearOnIncognitoClose, false);
+  assert.equal(env.storage.sync.clearTrigger, 'copy');
+  assert.equal(env.storage.sync.passwordClipboardInterval, 0);
+
+  change(window, document.getElementById('intervalInput'), '900');
+  await env.settle();
+  assert.equal(document.getElementById('status').textContent, 'Please enter a valid interval (1-300 seconds)');
+  assert.equal(env.storage.sync.clipboardInterval, 42);
+});
+
+test('site rules can be added for any site and edited in place', async () => {
+  const { env, window, document } = await setup();
+  assert.equal(document.getElementById('siteRulesTable').hidden, true);
+
+  change(window, document.getElementById('newRuleHost'), 'https://Docs.Example.org/path');
+  change(window, document.getElementById('newRuleMode'), 'always');
+  change(window, document.getElementById('newRuleInterval'), '20');
+  click(window, document.getElementById('addRuleBtn'));
+  await env.settle();
+  assert.deepEqual(env.storage.sync.siteRules, [{ host: 'docs.example.org', mode: 'always', interval: 20 }]);
+  assert.equal(document.getElementById('newRuleHost').value, '');
+
+  const row = document.querySelector('#siteRulesBody tr');
+  assert.equal(row.querySelector('.rule-host').textContent, 'docs.example.org');
+  change(window, row.querySelector('select'), 'never');
+  await env.settle();
+  assert.deepEqual(env.storage.sync.siteRules, [{ host: 'docs.example.org', mode: 'never', interval: 20 }]);
+
+  click(window, document.querySelector('#siteRulesBody button'));
+  await env.settle();
+  assert.deepEqual(env.storage.sync.siteRules, []);
+  assert.equal(document.getElementById('siteRulesEmpty').hidden, false);
+
+  change(window, document.getElementById('newRuleHost'), '   ');
+  click(window, document.getElementById('addRuleBtn'));
+  await env.settle();
+  assert.equal(document.getElementById('status').textContent, 'Enter a site such as example.com');
+});
+
+test('the options page and the popup follow each other', async () => {
+  const { env, window, document } = await setup();
+  const popup = await loadPopup(env);
+
+  change(popup.window, popup.document.getElementById('notifyBeforeToggle'), true);
+  await env.settle();
+  assert.equal(document.getElementById('notifyBeforeToggle').checked, true);
+
+  change(window, document.getElementById('enableToggle'), false);
+  await env.settle();
+  assert.equal(popup.document.getElementById('enableToggle').checked, false);
+  assert.equal(env.badge.text, 'OFF');
+});
+
+test('policy-managed settings are locked', async () => {
+  const { document } = await setup({ managed: { clipboardInterval: 8, siteRules: [] } });
+  assert.equal(document.getElementById('intervalInput').value, '8');
+  assert.equal(document.getElementById('intervalInput').disabled, true);
+  assert.equal(document.getElementById('passwordIntervalInput').disabled, true);
+  assert.equal(document.getElementById('incognitoIntervalInput').disabled, false);
+  assert.equal(document.getElementById('addRuleBtn').disabled, true);
+  assert.ok(document.querySelector('#intervalsSection .managed-note'));
+  assert.equal(document.querySelector('#notificationsSection .managed-note'), null);
+});
+
+test('invalid patterns are pointed out and samples can be tried before saving', async () => {
+  const { env, window, document } = await setup({ sync: { sensitivePatterns: ['corp-[0-9]{6}'] } });
+  const input = document.getElementById('patternsInput');
+  const sample = document.getElementById('patternSample');
+  assert.equal(input.value, 'corp-[0-9]{6}');
+
+  sample.value = 'id corp-123456';
+  sample.dispatchEvent(new window.Event('input'));
+  assert.equal(document.getElementById('patternResult').textContent, 'Treated as sensitive: matches corp-[0-9]{6}');
+
+  input.value = 'corp-[0-9]{6}\nticket-(';
+  input.dispatchEvent(new window.Event('input'));
+  assert.match(document.getElementById('patternErrors').textContent, /^Line 2 is not a valid regular expression: ticket-\($/);
+  assert.equal(document.getElementById('savePatternsBtn').disabled, true);
+
+  input.value = 'ticket-[0-9]+';
+  input.dispatchEvent(new window.Event('input'));
+  assert.equal(document.getElementById('patternResult').textContent, 'No custom pattern matches');
+  click(window, document.getElementById('savePatternsBtn'));
+  await env.settle();
+  assert.deepEqual(env.storage.sync.sensitivePatterns, ['ticket-[0-9]+']);
+});
+
+test('diagnostics list the clearing methods and every attempt of a test clear', async () => {
+  const { env, window, document } = await setup();
+  const list = document.getElementById('diagnosticsList').textContent;
+  assert.match(list, /Version1\.0\.2/);
+  assert.match(list, /offscreen document/);
+  assert.match(list, /0 recorded: 0 cleared, 0 skipped, 0 failed/);
+
+  env.clipboard = 'secret';
+  click(window, document.getElementById('testClearBtn'));
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  const attempts = document.getElementById('testClearResult');
+  assert.equal(attempts.hidden, false);
+  assert.equal(attempts.lastElementChild.className, 'ok');
+});
+
+test('the popup links to the options page', async () => {
+  const { env } = await setup();
+  const popup = await loadPopup(env);
+  click(popup.window, popup.document.getElementById('openOptionsBtn'));
+  await env.settle();
+  assert.ok(env.calls.some((call) => call.api === 'runtime.openOptionsPage'));
+  assert.ok(env.tabs.some((tab) => tab.url.endsWith('/options.html')));
+});
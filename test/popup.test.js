@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEnvironment } = require('./helpers/chrome-fake');
+const { loadBackground, loadPopup, installOffscreen, installPageScripting } = require('./helpers/load');
+
+async function setup(sync = {}) {
+  const env = createEnvironment();
+  Object.assign(env.storage.sync, sync);
+  installOffscreen(env);
+  installPageScripting(env);
+  env.addTab({ url: 'https://example.com/', active: true });
+  loadBackground(env);
+  await env.settle();
+  const popup = await loadPopup(env);
+  return { env, document: popup.document, window: popup.window };
+}
+
+function change(window, element, value) {
+  if (typeof value === 'boolean') element.checked = value;
+  else element.value = value;
+  element.dispatchEvent(new window.Event('change'));
+}
+
+test('shows the stored settings', async () => {
+  const { document } = await setup({ clipboardInterval: 42, clearTrigger: 'copy', clearOnlyOnPasswordPaste: true });
+  assert.equal(document.getElementById('intervalInput').value, '42');
+  assert.equal(document.getElementById('triggerSelect').value, 'copy');
+  assert.equal(document.getElementById('passwordOnlyToggle').checked, true);
+  assert.equal(document.getElementById('enableToggle').checked, true);
+});
+
+test('toggling the extension off updates the background', async () => {
+  const { env, window, document } = await setup();
+  change(window, document.getElementById('enableToggle'), false);
+  await env.settle();
+
+  assert.equal(env.storage.sync.extensionEnabled, false);
+  assert.equal(env.badge.text, 'OFF');
+  assert.equal(document.getElementById('status').textContent, 'Extension Disabled');
+});
+
+test('out-of-range intervals are rejected before reaching the background', async () => {
+  const { env, window, document } = await setup({ clipboardInterval: 10 });
+  const input = document.getElementById('intervalInput');
+
+  change(window, input, '0');
+  await env.clock.tick(1000);
+  assert.equal(document.getElementById('status').textContent, 'Please enter a valid interval (1-300 seconds)');
+  assert.equal(env.storage.sync.clipboardInterval, 10);
+
+  change(window, input, '90');
+  await env.clock.tick(1000);
+  assert.equal(env.storage.sync.clipboardInterval, 90);
+});
+
+test('the password interval accepts 0 and an empty value', async () => {
+  const { env, window, document } = await setup({ passwordClipboardInterval: 4 });
+  const input = document.getElementById('passwordIntervalInput');
+  assert.equal(input.value, '4');
+
+  change(window, input, '0');
+  await env.clock.tick(1000);
+  assert.equal(env.storage.sync.passwordClipboardInterval, 0);
+
+  change(window, input, '');
+  await env.clock.tick(1000);
+  assert.equal(env.storage.sync.passwordClipboardInterval, null);
+});
+
+test('an open popup follows settings changed elsewhere', async () => {
+  const { env, document } = await setup({ clipboardInterval: 10 });
+  const other = env.createContext('extension', { name: 'options' });
+  await other.chrome.storage.sync.set({ clipboardInterval: 75, notifyOnClear: true, extensionEnabled: false });
+  await env.settle();
+
+  assert.equal(document.getElementById('intervalInput').value, '75');
+  assert.equal(document.getElementById('notifyClearedToggle').checked, true);
+  assert.equal(document.getElementById('enableToggle').checked, false);
+  assert.equal(document.getElementById('toggleText').textContent, 'Extension Disabled');
+});
+
+test('site rules are saved for the active tab host', async () => {
+  const { env, window, document } = await setup();
+  assert.equal(document.getElementById('siteHost').textContent, 'example.com');
+
+  document.getElementById('siteModeSelect').value = 'never';
+  document.getElementById('saveSiteRuleBtn').dispatchEvent(new window.Event('click'));
+  await env.settle();
+
+  assert.deepEqual(env.storage.sync.siteRules.map((r) => [r.host, r.mode]), [['example.com', 'never']]);
+  assert.match(document.getElementById('siteRulesList').textContent, /example\.com/);
+});
+
+test('Clear Now reports which strategy cleared the clipboard', async () => {
+  const { env, window, document } = await setup();
+  env.clipboard = 'secret';
+  document.getElementById('clearNowBtn').dispatchEvent(new window.Event('click'));
+  await env.settle();
+
+  assert.equal(env.clipboard, '');
+  assert.match(document.getElementById('status').textContent, /active tab/);
+});
+
+test('event trigger toggles load and save their settings', async () => {
+  const { env, window, document } = await setup({ clearOnIdle: true });
+  assert.equal(document.getElementById('clearOnIdleToggle').checked, true);
+  assert.equal(document.getElementById('clearOnBlurToggle').checked, false);
+
+  change(window, document.getElementById('clearOnTabCloseToggle'), true);
+  await env.settle();
+  assert.equal(env.storage.sync.clearOnTabClose, true);
+});
+
+test('snooze buttons pause clearing and Resume now undoes it', async () => {
+  const { env, window, document } = await setup();
+  document.querySelector('.snooze-btn[data-minutes="15"]').dispatchEvent(new window.Event('click'));
+  await env.settle();
+  assert.ok(env.storage.local.snoozedUntil > env.clock.now);
+  assert.equal(document.getElementById('snoozeButtons').hidden, true);
+  assert.match(document.getElementById('snoozeText').textContent, /snoozed until/);
+
+  document.getElementById('resumeBtn').dispatchEvent(new window.Event('click'));
+  await env.settle();
+  assert.equal(env.storage.local.snoozedUntil, undefined);
+  assert.equal(document.getElementById('snoozeActive').hidden, true);
+});
+
+test('the countdown panel follows a pending clear live', async () => {
+  const { env, window, document } = await setup({ clipboardInterval: 20 });
+  const panel = document.getElementById('countdownPanel');
+  assert.equal(panel.hidden, true);
+
+  env.clipboard = 'secret';
+  const page = env.createContext('content', { tabId: env.tabs[0].id, url: env.tabs[0].url });
+  await page.chrome.runtime.sendMessage({ type: 'PASTE_DETECTED', origin: 'https://example.com', isPassword: false, contentHash: null });
+  await env.settle();
+  assert.equal(panel.hidden, false);
+  assert.equal(document.getElementById('countdownSeconds').textContent, '20');
+  assert.match(document.getElementById('countdownOrigin').textContent, /example\.com · Paste/);
+
+  await env.clock.tick(5000);
+  assert.equal(document.getElementById('countdownSeconds').textContent, '15');
+
+  document.getElementById('extendBtn').dispatchEvent(new window.Event('click'));
+  await env.settle();
+  assert.equal(document.getElementById('countdownSeconds').textContent, '45');
+
+  document.getElementById('cancelClearBtn').dispatchEvent(new window.Event('click'));
+  await env.settle();
+  assert.equal(panel.hidden, true);
+  assert.equal(env.clipboard, 'secret');
+});
+
+test('Clear now in the countdown panel clears and hides it', async () => {
+  const { env, window, document } = await setup();
+  env.clipboard = 'secret';
+  const page = env.createContext('content', { tabId: env.tabs[0].id, url: env.tabs[0].url });
+  await page.chrome.runtime.sendMessage({ type: 'PASTE_DETECTED', origin: 'https://example.com', isPassword: false, contentHash: null });
+  await env.settle();
+
+  document.getElementById('clearPendingNowBtn').dispatchEvent(new window.Event('click'));
+  await env.settle();
+  assert.equal(env.clipboard, '');
+  assert.equal(document.getElementById('countdownPanel').hidden, true);
+});